@@ -1,31 +1,103 @@
 import express from "express";
-import { extractLeadFields } from "./src/ai_extractor.js";
+import { extractLead, knownFromQualification } from "./src/lead_extraction.js";
 
 import {
-  getOrCreateCompany,
+  resolveCompanyByPhoneNumberId,
+  companySetting,
   upsertLead,
   getOrCreateConversation,
-  saveMessage,
+  getConversationContext,
+  saveInboundMessage,
+  markMessageProcessed,
+  recordMessageStatus,
   setLeadName,
   setLeadEmail,
+  setLeadLanguage,
   setConversationState,
+  listRecentMessages,
   getOrCreateQualification,
   getQualification,
-  patchQualificationFromExtract
+  patchQualificationFromExtract,
+  resolvePendingField,
+  CONFIRMABLE_FIELDS,
+  setQualificationExtra,
+  markFieldSkipped,
+  setQualificationZone,
+  setQualificationSite
 } from "./src/crm.js";
 
 import { createDraftQuoteWithPdf } from "./src/quote_service.js";
+import { findMatchingEquipment } from "./src/equipment_matcher.js";
+import {
+  resolveZoneForQualification,
+  resolveZoneForLocation,
+  listActiveZones,
+  getZoneById,
+  listKnownCities
+} from "./src/transport_zones.js";
+import { isValidCoord } from "./src/geo.js";
+import { formatHeight, metersToFeet } from "./src/parse.js";
+import { t, valueLabel, fmtDays, fmtMoney, detectLanguage, normalizeLanguage, DEFAULT_LANGUAGE } from "./src/i18n.js";
+import { verifyMetaSignature } from "./src/webhook_signature.js";
+import { replyText, replyDocument, replyInteractive } from "./src/outbound.js";
+import { sendWhatsAppText } from "./src/whatsapp.js";
+import { ensureBotActive, wantsHuman, pauseBot } from "./src/agent_handoff.js";
+import { sendQuoteEmail } from "./src/quote_email.js";
+import { findLatestQuoteForConversation, diffForRevision, formatRevisionChanges } from "./src/quote_revisions.js";
+import { REVISABLE_QUOTE_STATUSES } from "./src/quote_lifecycle.js";
+import { createAdminRouter } from "./src/admin_api.js";
+import { kickInboundWorker, startInboundWorker } from "./src/inbound_queue.js";
+import { startOutboxWorker } from "./src/outbox.js";
+import {
+  startScheduler,
+  scheduleQuoteFollowUps,
+  scheduleQualificationNudge,
+  cancelScheduledMessages
+} from "./src/scheduler.js";
+import {
+  buildChoices,
+  buildConfirmButtons,
+  parseConfirmReply,
+  parseQuickReply,
+  quickReplyToExtract
+} from "./src/quick_replies.js";
+import { parseYesNo } from "./src/rule_extractor.js";
+import {
+  getCompanyFlow,
+  flowField,
+  isCustomField,
+  missingFields,
+  fieldChoices,
+  fieldPrompt,
+  fieldButtonText,
+  parseCustomAnswer
+} from "./src/qualification_flow.js";
 
 const app = express();
-app.use(express.json());
+
+// Guardamos el body crudo: la firma de Meta se calcula sobre los bytes exactos, no sobre el JSON re-serializado
+app.use(
+  express.json({
+    limit: "10mb", // documentos en base64 desde la API de agentes
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    }
+  })
+);
 
 const VERIFY_TOKEN = process.env.WHATSAPP_VERIFY_TOKEN || "vexiqo_verify_2026";
-const WHATSAPP_TOKEN = process.env.WHATSAPP_TOKEN;
-const PHONE_NUMBER_ID = process.env.WHATSAPP_PHONE_NUMBER_ID;
+const APP_SECRET = process.env.WHATSAPP_APP_SECRET;
+// Solo para pruebas locales (curl sin firma). Nunca en producción.
+const SKIP_SIGNATURE_CHECK = process.env.WHATSAPP_SKIP_SIGNATURE_CHECK === "true";
 const ADMIN_PHONE = process.env.ADMIN_PHONE; // ej: 5218128667708
+// Debajo de esta confianza el valor extraído se confirma con el cliente antes de guardarlo
+const EXTRACT_CONFIDENCE_THRESHOLD = Number(process.env.EXTRACT_CONFIDENCE_THRESHOLD || 0.75);
 
 app.get("/", (req, res) => res.status(200).send("Vexiqo webhook alive"));
 
+// API interna (cotizaciones, etc.) protegida con ADMIN_API_TOKEN
+app.use("/api", createAdminRouter());
+
 app.get("/webhooks/whatsapp", (req, res) => {
   const mode = req.query["hub.mode"];
   const token = req.query["hub.verify_token"];
@@ -35,422 +107,664 @@ app.get("/webhooks/whatsapp", (req, res) => {
   return res.sendStatus(403);
 });
 
-async function sendWhatsAppText(to, body) {
-  if (!WHATSAPP_TOKEN || !PHONE_NUMBER_ID) {
-    console.log("Missing WHATSAPP_TOKEN or WHATSAPP_PHONE_NUMBER_ID");
-    return;
-  }
+// Primer campo pendiente de confirmar, en el mismo orden en que se pregunta
+function firstPendingField(q) {
+  return CONFIRMABLE_FIELDS.find((f) => q?.pendingFields?.[f] != null) || null;
+}
 
-  const url = `https://graph.facebook.com/v22.0/${PHONE_NUMBER_ID}/messages`;
-  const payload = {
-    messaging_product: "whatsapp",
-    to,
-    type: "text",
-    text: { body }
-  };
+function fieldValueText(lang, field, v) {
+  if (field === "height_m") return `${v} m (${metersToFeet(v)} ft)`;
+  if (field === "duration_days") return fmtDays(lang, v);
+  if (field === "city") return String(v);
+  return valueLabel(lang, field, v).toLowerCase();
+}
 
-  const resp = await fetch(url, {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${WHATSAPP_TOKEN}`,
-      "Content-Type": "application/json"
-    },
-    body: JSON.stringify(payload)
-  });
+// "Listo, cambié la altura de 14 m a 16 m." (solo lo que sí quedó guardado)
+function buildCorrectionNote(lang, corrections) {
+  if (!corrections?.length) return "";
+  const parts = corrections.map((c) =>
+    t(lang, "correction.item", {
+      field: t(lang, `field.${c.field}`),
+      from: fieldValueText(lang, c.field, c.from),
+      to: fieldValueText(lang, c.field, c.to)
+    })
+  );
+  return t(lang, "correction.note", { changes: parts.join(t(lang, "correction.join")) });
+}
 
-  const data = await resp.json();
-  console.log("Send response:", resp.status, JSON.stringify(data));
+function buildConfirmQuestion(lang, field, entry) {
+  const v = entry?.value;
+  if (field === "height_m") {
+    const height = formatHeight(
+      {
+        heightMeters: v,
+        heightFeet: entry?.height_ft,
+        heightValue: entry?.height_value,
+        heightUnit: entry?.height_unit,
+        heightKind: entry?.height_kind
+      },
+      { lang }
+    );
+    return t(lang, "confirm.height", { height });
+  }
+  if (field === "duration_days") return t(lang, "confirm.duration", { days: fmtDays(lang, v) });
+  if (field === "city") return t(lang, "confirm.city", { city: v });
+  return t(lang, "confirm.value", { value: fieldValueText(lang, field, v) });
 }
 
 /**
- * Envía un PDF como documento (WhatsApp Cloud API)
- * Flujo: 1) upload media  2) send message document
+ * Siguiente pregunta según el flujo de la empresa (ver qualification_flow.js).
+ * Opciones cerradas => botones / lista (ids "q:<campo>:<valor>"); el id no cambia con el idioma.
+ * @returns {{ body: string, interactive: Object|null }}
  */
-async function sendWhatsAppDocument(to, pdfBuffer, filename, caption) {
-  if (!WHATSAPP_TOKEN || !PHONE_NUMBER_ID) {
-    console.log("Missing WHATSAPP_TOKEN or WHATSAPP_PHONE_NUMBER_ID");
-    return;
-  }
+function buildNextQuestion({
+  company,
+  flow,
+  lang,
+  leadName,
+  missing,
+  invalidField,
+  invalidEmailAttempt,
+  knownCities,
+  zoneCandidates,
+  note = ""
+}) {
+  const withNote = (body) => (note ? `${note}\n\n${body}` : body);
 
-  if (!pdfBuffer || !filename) {
-    console.log("Missing pdfBuffer or filename for sendWhatsAppDocument");
-    return;
+  if (!leadName) {
+    const botName = companySetting(company, "botName", "VEXIQO");
+    return { body: withNote(t(lang, "q.greeting", { bot: botName, company: company.name })), interactive: null };
   }
 
-  // 1) Upload media
-  const mediaUrl = `https://graph.facebook.com/v22.0/${PHONE_NUMBER_ID}/media`;
+  if (!missing || missing.length === 0) {
+    return { body: withNote(t(lang, "q.ready")), interactive: null };
+  }
 
-  const form = new FormData();
-  form.append("messaging_product", "whatsapp");
+  const field = flowField(flow, missing[0]);
+  if (!field) return { body: withNote(t(lang, "q.fallback")), interactive: null };
 
-  // Node 18+ soporta Blob/FormData global.
-  const blob = new Blob([pdfBuffer], { type: "application/pdf" });
-  form.append("file", blob, filename);
+  // El email se reintenta solo si lo que mandó no era un correo válido
+  const retry = field.key === "email" ? invalidEmailAttempt : invalidField === field.key;
+  const options = fieldChoices(lang, field, { knownCities: knownCities || [], zoneCandidates: zoneCandidates || [] });
+  const vars = {
+    name: leadName,
+    city: zoneCandidates?.[0]?.city || t(lang, "q.zone_city_fallback")
+  };
 
-  const mediaResp = await fetch(mediaUrl, {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${WHATSAPP_TOKEN}`
-      // NO setear Content-Type; fetch lo genera con boundary
-    },
-    body: form
-  });
+  const body = withNote(fieldPrompt(lang, field, { retry, hasChoices: options.length > 0, vars }));
+  return { body, interactive: buildChoices(body, options, fieldButtonText(lang, field), { lang }) };
+}
 
-  const mediaData = await mediaResp.json();
-  console.log("Media upload:", mediaResp.status, JSON.stringify(mediaData));
+app.post("/webhooks/whatsapp", async (req, res) => {
+  // Seguridad: solo aceptamos payloads firmados por Meta con nuestro App Secret
+  if (!SKIP_SIGNATURE_CHECK) {
+    const sig = verifyMetaSignature({
+      rawBody: req.rawBody,
+      signatureHeader: req.get("X-Hub-Signature-256"),
+      appSecret: APP_SECRET
+    });
 
-  const mediaId = mediaData?.id;
-  if (!mediaId) {
-    console.log("Media upload failed (no id). Falling back to text.");
-    await sendWhatsAppText(to, caption || "Ya generé tu cotización en PDF.");
-    return;
+    if (!sig.ok) {
+      console.log("Rejected webhook (signature):", sig.reason, "ip:", req.ip);
+      return res.sendStatus(401);
+    }
   }
 
-  // 2) Send document message
-  const msgUrl = `https://graph.facebook.com/v22.0/${PHONE_NUMBER_ID}/messages`;
-  const msgPayload = {
-    messaging_product: "whatsapp",
-    to,
-    type: "document",
-    document: {
-      id: mediaId,
-      filename,
-      caption: caption || ""
+  // Responde rápido a Meta
+  res.sendStatus(200);
+
+  // Meta puede agrupar varios entry / changes / messages en una sola entrega.
+  // Se procesan en orden y un mensaje que falla no tumba a los demás.
+  for (const entry of req.body?.entry || []) {
+    for (const change of entry?.changes || []) {
+      const value = change?.value;
+      for (const msg of value?.messages || []) {
+        try {
+          await handleInboundMessage(value, msg);
+        } catch (e) {
+          console.log("Webhook error:", msg?.id, e);
+        }
+      }
+
+      // Callbacks de entrega de nuestros OUTBOUND (sent / delivered / read / failed)
+      for (const st of value?.statuses || []) {
+        try {
+          await recordMessageStatus(st);
+        } catch (e) {
+          console.log("Status webhook error:", st?.id, e);
+        }
+      }
     }
-  };
+  }
+});
 
-  const msgResp = await fetch(msgUrl, {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${WHATSAPP_TOKEN}`,
-      "Content-Type": "application/json"
-    },
-    body: JSON.stringify(msgPayload)
-  });
+async function handleInboundMessage(value, msg) {
+  const from = msg?.from;
+  const location = parseLocation(msg);
+  const phoneNumberId = value?.metadata?.phone_number_id || null;
 
-  const msgData = await msgResp.json();
-  console.log("Document send:", msgResp.status, JSON.stringify(msgData));
-}
+  console.log("Incoming:", phoneNumberId, from, msg?.id, msg?.text?.body || msg?.type);
 
-function buildNextQuestion({ leadName, missing, invalidField, invalidEmailAttempt }) {
-  if (!leadName) {
-    return "Hola 👋 Soy VEXIQO de TSC Industrial. ¿Me compartes tu nombre para apoyarte mejor?";
+  // 1) Tenant: la empresa dueña del número que recibió el mensaje
+  const company = await resolveCompanyByPhoneNumberId(phoneNumberId);
+  if (!company) {
+    console.log("Ignoring message for unknown phone_number_id:", phoneNumberId);
+    return;
   }
 
-  if (!missing || missing.length === 0) {
-    return "Perfecto. Ya tengo lo necesario para generar tu cotización. Dame un momento.";
+  // Seguridad: si la empresa tiene adminPhone, solo atendemos a ese número (modo pruebas)
+  const adminPhone = companySetting(company, "adminPhone", ADMIN_PHONE);
+  if (adminPhone && from !== adminPhone) {
+    console.log("Ignoring non-admin sender:", from);
+    return;
   }
 
-  const next = missing[0];
-  const isRetry = invalidField === next;
+  // CRM base
+  const lead = await upsertLead(company.id, from);
+  const convo = await getOrCreateConversation(company.id, lead.id);
+  const text = msg?.text?.body || parseQuickReply(msg)?.title || locationText(leadLanguage(company, lead), location);
+
+  // Guarda inbound (+ su job). El unique de waMessageId hace que un reintento de Meta sea no-op.
+  // Botón / lista: guardamos el título que vio el cliente como texto del mensaje.
+  const saved = await saveInboundMessage({
+    companyId: company.id,
+    conversationId: convo.id,
+    body: text,
+    waMessageId: msg.id || null,
+    rawPayload: msg
+  });
 
-  // Orden técnico primero (como pediste)
-  if (next === "height_m") {
-    if (isRetry) return `No alcancé a entender la altura 😅. Dímela así porfa: "14m" o "45ft".`;
-    return `Gracias, ${leadName}. ¿Qué altura necesitas alcanzar? (ej: 14m o 45ft)`;
+  if (saved.duplicate) {
+    // Reintento de Meta de un mensaje que nunca terminó de procesarse: vuelve a la cola
+    if (saved.requeued) {
+      console.log("Redelivered unprocessed message, requeued:", msg.id);
+      kickInboundWorker();
+    } else {
+      console.log("Duplicate delivery, skipping:", msg.id);
+    }
+    return;
   }
 
-  if (next === "type") {
-    if (isRetry) return "No me quedó claro el tipo 😅. Responde solo: BRAZO o TIJERA.";
-    return "¿Necesitas brazo articulado o tijera?";
-  }
+  // El cliente contestó: recordatorios / empujones pendientes ya no aplican
+  await cancelScheduledMessages(convo.id, { reason: "CUSTOMER_REPLY" });
 
-  if (next === "activity") {
-    if (isRetry) return "No entendí la actividad 😅. Responde: PINTURA o GENERAL.";
-    return "¿El trabajo es de pintura o uso general?";
-  }
+  // 2) El flujo corre en la cola (el job ya quedó guardado con el mensaje):
+  // en orden por conversación y sobrevive reinicios
+  kickInboundWorker();
+}
 
-  if (next === "terrain") {
-    if (isRetry) return "No entendí el terreno 😅. Responde: PISO FIRME o TERRACERÍA.";
-    return "¿El terreno es piso firme (concreto) o terracería?";
+/**
+ * Worker de la cola (un job por inbound). Lee todo fresco de BD: entre que se encoló
+ * y que corre pudo haber cambiado el estado de la conversación.
+ */
+async function processInboundJob(job) {
+  const message = job.message;
+  if (message?.processedAt) return; // ya se procesó (reintento después de terminar)
+
+  const ctx = await getConversationContext(job.conversationId);
+  if (!ctx) throw new Error(`processInboundJob: conversation not found ${job.conversationId}`);
+
+  const { company, lead, ...convo } = ctx;
+  const from = lead.phoneE164;
+  const quickReply = parseQuickReply(message.rawPayload);
+  const location = parseLocation(message.rawPayload);
+  const text = message.body || "";
+  const lang = await resolveLeadLanguage(company, lead, quickReply || location ? "" : text);
+
+  // Modo agente: con el bot en pausa solo registramos el inbound (lo ve el asesor)
+  if (!(await ensureBotActive(company, convo))) {
+    console.log("Bot paused, agent handling:", convo.id, convo.assignedAgent);
+  } else if (!quickReply && !location && wantsHuman(text)) {
+    await handoffToHuman({ company, lang, lead, convo, from, text });
+  } else {
+    await runQualificationFlow({ company, lang, lead, convo, from, text, quickReply, location, messageId: message.id });
   }
 
-  if (next === "city") {
-    if (isRetry) return "No entendí la ciudad 😅. Escríbela así: Saltillo / Ramos Arizpe / Arteaga / Derramadero / Apodaca / Santa Catarina.";
-    return "¿En qué ciudad es el trabajo? (ej: Saltillo, Monterrey)";
-  }
+  await markMessageProcessed(message.id);
+}
 
-  if (next === "duration_days") {
-    if (isRetry) return "No entendí los días 😅. Pon solo un número: 1, 7, 30, etc.";
-    return "¿Cuántos días necesitas el equipo?";
+// Idioma del lead: solo cambia con un mensaje que trae señal clara ("14m" o un nombre no cuentan)
+async function resolveLeadLanguage(company, lead, text) {
+  const detected = detectLanguage(text);
+  if (detected && detected !== lead.language) {
+    console.log("Lead language:", lead.id, lead.language, "=>", detected);
+    await setLeadLanguage(lead.id, detected);
+    lead.language = detected;
   }
+  return leadLanguage(company, lead);
+}
 
-  if (next === "email") {
-    if (invalidEmailAttempt) return "Ese correo no se ve válido 😅. Escríbelo otra vez (ej: compras@tuempresa.com).";
-    return "¿A qué correo te envío la cotización en PDF? (ej: compras@tuempresa.com)";
-  }
+function leadLanguage(company, lead) {
+  return normalizeLanguage(lead.language || companySetting(company, "defaultLanguage", DEFAULT_LANGUAGE));
+}
 
-  return "Perfecto. ¿Me confirmas terreno, ciudad y duración?";
+// Pin de ubicación de WhatsApp (msg.type "location")
+function parseLocation(msg) {
+  if (msg?.type !== "location" || !msg.location) return null;
+  const lat = Number(msg.location.latitude);
+  const lng = Number(msg.location.longitude);
+  if (!isValidCoord(lat, lng)) return null;
+  return { lat, lng, address: msg.location.address || null, name: msg.location.name || null };
 }
 
-app.post("/webhooks/whatsapp", async (req, res) => {
-  // Responde rápido a Meta
-  res.sendStatus(200);
+function locationText(lang, location) {
+  if (!location) return "";
+  const label = [location.name, location.address].filter(Boolean).join(", ");
+  return `📍 ${label || t(lang, "location.label")} (${location.lat}, ${location.lng})`;
+}
 
-  try {
-    const entry = req.body?.entry?.[0];
-    const change = entry?.changes?.[0];
-    const value = change?.value;
+async function handoffToHuman({ company, lang, lead, convo, from, text }) {
+  await pauseBot(convo.id, { reason: "CUSTOMER_REQUEST" });
 
-    const msg = value?.messages?.[0];
-    if (!msg) return;
+  await replyText({
+    company,
+    convo,
+    to: from,
+    body: t(lang, "handoff.customer", { name: lead.name ? `${lead.name}, ` : "" })
+  });
 
-    const from = msg?.from;
-    const text = msg?.text?.body || "";
+  // Aviso al asesor de guardia (best-effort; fuera de la ventana de 24h puede no llegar)
+  const notifyPhone = companySetting(company, "agentNotifyPhone", null);
+  if (notifyPhone) {
+    await sendWhatsAppText(
+      company,
+      notifyPhone,
+      `🔔 ${lead.name || from} (${from}) pidió hablar con un asesor.\nConversación: ${convo.id}\nMensaje: "${text}"`
+    ).catch((e) => console.log("Agent notify error:", e));
+  }
+}
 
-    console.log("Incoming:", from, text);
+async function runQualificationFlow({ company, lang, lead, convo, from, text, quickReply = null, location = null, messageId = null }) {
+  // Flags de retry UX
+  let invalidEmailAttempt = false;
+  let invalidField = null;
+
+  // 2) Asegura que exista Qualification (acumulado por lead)
+  const before = await getOrCreateQualification(company.id, lead.id);
+  const flow = getCompanyFlow(company);
+
+  // Lo que el bot preguntó en el turno anterior (las reglas lo usan para números sueltos).
+  // Conversaciones previas a lastAskedField: se deduce del primer faltante.
+  const expectField = convo.lastAskedField || (lead.name ? missingFields(flow, before, lead)[0] || null : "name");
+
+  // 2.1) ¿Había un valor dudoso por confirmar? ("¿Confirmas 14 metros?" => Sí / No)
+  // "no, son 14 pies" confirma el "no" y el resto pasa al extractor.
+  let confirmOnly = false;
+  const pendingField = firstPendingField(before);
+  if (pendingField) {
+    const reply = parseConfirmReply(quickReply);
+    const yesNo = reply || quickReply || location ? null : parseYesNo(text);
+    const answer = reply?.answer || yesNo?.answer;
+    if (answer) {
+      const field = reply?.field || pendingField;
+      await resolvePendingField(lead.id, field, answer === "yes");
+      if (answer === "no") invalidField = field;
+      confirmOnly = Boolean(reply) || !yesNo.rest;
+    }
+  }
 
-    // Seguridad: por ahora solo admin
-    if (ADMIN_PHONE && from !== ADMIN_PHONE) {
-      console.log("Ignoring non-admin sender:", from);
-      return;
+  // 2.2) Campo propio de la empresa (flowDefinition): la respuesta se interpreta según su kind
+  // y va a Qualification.extra; si no sobra texto no pasa por el extractor.
+  let customOnly = false;
+  const customField =
+    quickReply?.field === "custom"
+      ? flowField(flow, String(quickReply.value).split(":")[0])
+      : flowField(flow, expectField);
+  if (customField && isCustomField(customField.key) && !confirmOnly && !location) {
+    const answer = parseCustomAnswer(customField, { text, quickReply });
+    if (answer) {
+      console.log("Custom field:", customField.key, answer.value);
+      await setQualificationExtra(lead.id, { [customField.key]: answer.value });
+      customOnly = !answer.rest;
+    } else if (!quickReply && customField.required) {
+      invalidField = customField.key;
     }
+  }
 
-    // Flags de retry UX
-    let invalidEmailAttempt = false;
-    let invalidField = null;
-
-    // 1) CRM base
-    const company = await getOrCreateCompany(); // por ahora 1 empresa (TSC)
-    const lead = await upsertLead(company.id, from);
-    const convo = await getOrCreateConversation(company.id, lead.id);
-
-    // Guarda inbound
-    await saveMessage({
-      companyId: company.id,
-      conversationId: convo.id,
-      direction: "INBOUND",
-      body: text,
-      waMessageId: msg.id || null,
-      rawPayload: msg
-    });
+  // 3) Botón / lista: el id ya trae campo y valor, va directo a la Qualification (sin IA)
+  if (quickReply && !confirmOnly) {
+    await applyQuickReply(company, lead, quickReply);
+  }
 
-    // 2) Asegura que exista Qualification (acumulado por lead)
-    await getOrCreateQualification(company.id, lead.id);
+  // 3.1) Pin de ubicación: la geocerca da la zona (y la ciudad) sin preguntar
+  if (location) {
+    const zone = await resolveZoneForLocation(company, location);
+    console.log("Location:", location.lat, location.lng, "zone:", zone?.name || null);
+    await setQualificationSite(lead.id, { ...location, zone });
+  }
 
-    // 3) IA extractor (NO debe tumbar el flujo si falla)
-    let extracted = null;
+  // 3.2) Extracción: reglas primero, LLM si hace falta, reglas si el LLM falla (nunca tumba el flujo)
+  let extracted = null;
+  if (!quickReply && !location && !confirmOnly && !customOnly) {
     try {
-      extracted = await extractLeadFields({
+      extracted = await extractLead({
         text,
         known: {
           name: lead.name || null,
           email: lead.email || null
-        }
+        },
+        zones: await listActiveZones(company.id),
+        expectField,
+        current: knownFromQualification(before),
+        history: await listRecentMessages(convo.id, { excludeId: messageId })
       });
-      console.log("AI extracted:", extracted);
+      console.log("Extracted:", extracted.source, extracted);
     } catch (e) {
-      console.log("AI extractor error:", e);
+      console.log("Extractor error:", e);
     }
+  }
 
-    // 4) Persistir lo extraído (sin borrar lo anterior)
-    if (!lead.name && extracted?.name) {
-      await setLeadName(lead.id, extracted.name);
-      lead.name = extracted.name;
-    }
+  // 4) Persistir lo extraído (sin borrar lo anterior)
+  if (!lead.name && extracted?.name) {
+    await setLeadName(lead.id, extracted.name);
+    lead.name = extracted.name;
+  }
 
-    // Guardar email extraído por IA (con validación mínima)
-    if (!lead.email && extracted?.email) {
-      const candidate = String(extracted.email || "").trim().toLowerCase();
-      const isEmail = /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(candidate);
-      if (isEmail) {
-        await setLeadEmail(lead.id, candidate);
-        lead.email = candidate;
-      } else {
-        invalidEmailAttempt = true;
-      }
+  // Guardar email extraído por IA (con validación mínima)
+  if (!lead.email && extracted?.email) {
+    const candidate = String(extracted.email || "").trim().toLowerCase();
+    const isEmail = /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(candidate);
+    if (isEmail) {
+      await setLeadEmail(lead.id, candidate);
+      lead.email = candidate;
+    } else {
+      invalidEmailAttempt = true;
     }
+  }
+
+  if (extracted) {
+    const threshold = Number(companySetting(company, "extractConfidenceThreshold", EXTRACT_CONFIDENCE_THRESHOLD));
+    await patchQualificationFromExtract(lead.id, extracted, { threshold });
+  }
 
-    if (extracted) {
-      await patchQualificationFromExtract(lead.id, extracted);
+  // 5) Leer acumulado desde BD y calcular faltantes DESDE LO ACUMULADO
+  const q = await getQualification(lead.id);
+  console.log("Qualification from DB:", q);
+
+  // Correcciones ("perdón, eran 16 metros") que sí se guardaron (las dudosas esperan confirmación)
+  const saved = knownFromQualification(q);
+  const corrections = (extracted?.corrections || []).filter((c) => saved[c.field] === c.to);
+  if (corrections.length) console.log("Corrections:", corrections);
+
+  // 5.1) Zona de transporte: si la ciudad tiene varias zonas preguntamos cuál;
+  // si no tiene ninguna, se cotiza con transporte manual (no se pregunta).
+  let zoneRes = null;
+  if (q?.city && !q.transportZoneId) {
+    zoneRes = await resolveZoneForQualification(company.id, q, text);
+    if (zoneRes.status === "MATCH") {
+      await setQualificationZone(lead.id, zoneRes.zone.id);
+      q.transportZoneId = zoneRes.zone.id;
     }
+  }
 
-    // 5) Leer acumulado desde BD y calcular faltantes DESDE LO ACUMULADO
-    const q = await getQualification(lead.id);
-    console.log("Qualification from DB:", q);
-
-    const missing = [];
-    if (!q || q.heightMeters == null) missing.push("height_m");
-    if (!q || !q.liftType) missing.push("type");
-    if (!q || !q.activity) missing.push("activity");
-    if (!q || !q.terrain || String(q.terrain).trim() === "") missing.push("terrain");
-    if (!q || !q.city || String(q.city).trim() === "") missing.push("city");
-    if (!q || q.durationDays == null) missing.push("duration_days");
-    if (!lead.email) missing.push("email");
-
-    // Detectar si el usuario intentó contestar el "siguiente" campo pero la IA no lo pudo extraer
-    // (solo aplica cuando extracted existe y todavía falta ese campo)
-    if (extracted?.missing?.length && missing.length > 0) {
-      const next = missing[0];
-      if (extracted.missing.includes(next) && String(text || "").trim().length > 0) {
-        // Esto dispara "retry prompt" para el campo que sigue
-        invalidField = next;
-      }
+  let missing = missingFields(flow, q, lead, { zoneAmbiguous: zoneRes?.status === "AMBIGUOUS" });
+
+  // Opcional que preguntamos y el mensaje no contestó (ni trajo otro dato): se salta
+  const asked = flowField(flow, convo.lastAskedField);
+  const answeredOther = Boolean(corrections.length) || JSON.stringify(saved) !== JSON.stringify(knownFromQualification(before));
+  const quiet = !quickReply && !location && !confirmOnly && !invalidEmailAttempt && !answeredOther;
+  if (asked && !asked.required && missing[0] === asked.key && quiet) {
+    console.log("Optional field skipped:", asked.key);
+    await markFieldSkipped(lead.id, asked.key);
+    missing = missing.filter((f) => f !== asked.key);
+  }
+
+  // Detectar si el usuario intentó contestar el "siguiente" campo pero la IA no lo pudo extraer
+  // (solo aplica cuando extracted existe y todavía falta ese campo)
+  if (extracted?.missing?.length && missing.length > 0) {
+    const next = missing[0];
+    if (extracted.missing.includes(next) && String(text || "").trim().length > 0) {
+      // Esto dispara "retry prompt" para el campo que sigue
+      invalidField = next;
     }
+  }
 
-    // 6) Definir estado conversacional
-    const nextState = missing.length > 0 ? "TECH_QUALIFICATION" : "READY_FOR_MATCH";
-
-    // ✅ 6.1) Si ya está todo, generamos cotización (1 paso, sin email SMTP todavía)
-    if (nextState === "READY_FOR_MATCH") {
-      // Evita generar varias veces si el usuario manda otro mensaje con todo completo
-      const currentState = convo?.state || convo?.conversationState || null;
-      if (currentState !== "QUOTE_DRAFTED") {
-        const { transportZone, transportRoundTripMx } = resolveTransportByCity(q.city);
-
-        // Si no pudimos resolver zona, igual generamos con transporte 0, pero lo dejamos claro.
-        const durationDays = Number(q.durationDays);
-
-        const equipment = {
-          equipmentModel: "45FT",
-          type: q.liftType, // "BRAZO" / "TIJERA"
-          height_m: Number(q.heightMeters),
-          terrain: q.terrain,
-          activity: q.activity
-        };
-
-        const result = await createDraftQuoteWithPdf({
-          companyId: company.id,
-          lead: {
-            name: lead.name || null,
-            phoneE164: from,
-            email: lead.email || null,
-            city: q.city || null
-          },
-          durationDays,
-          transportZone,
-          transportRoundTripMx,
-          equipment,
-          meta: {
-            source: "whatsapp",
-            conversationId: convo.id,
-            qualificationSnapshot: q
-          }
-        });
-
-        // Cambia estado conversacional para no duplicar
-        await setConversationState(convo.id, "READY_FOR_MATCH");
-
-        const totalExact = result.options?.[0]?.totalMx ?? null;
-
-        const reply = buildQuoteDraftedReply({
-          leadName: lead.name,
-          quoteNumber: result.quoteNumber,
-          durationDays,
-          totalExactMx: totalExact,
-          transportZone,
-          transportRoundTripMx
-        });
+  // 5.2) Valor dudoso (ej. "14" sin unidad): se confirma antes de seguir preguntando o de cotizar
+  const toConfirm = lead.name ? firstPendingField(q) : null;
+  if (toConfirm) {
+    await setConversationState(convo.id, "TECH_QUALIFICATION", { askedField: toConfirm });
+    const body = buildConfirmQuestion(lang, toConfirm, q.pendingFields[toConfirm]);
+    await replyInteractive({ company, convo, to: from, body, interactive: buildConfirmButtons(body, toConfirm, { lang }) });
+    await scheduleQualificationNudge(company, convo.id);
+    return;
+  }
 
-        // Guarda outbound (registramos el caption / confirmación)
-        await saveMessage({
-          companyId: company.id,
-          conversationId: convo.id,
-          direction: "OUTBOUND",
-          body: reply,
-          waMessageId: null,
-          rawPayload: null
-        });
-
-        // ✅ ENVIAR PDF como documento por WhatsApp (con caption)
-        await sendWhatsAppDocument(from, result.pdfBuffer, result.filename, reply);
+  // 6) Definir estado conversacional
+  const nextState = missing.length > 0 ? "TECH_QUALIFICATION" : "READY_FOR_MATCH";
+
+  // ✅ 6.1) Si ya está todo, generamos cotización y la mandamos por WhatsApp + email
+  if (nextState === "READY_FOR_MATCH") {
+    // Sin zona para la ciudad: transporte 0 en números, pero la cotización queda marcada
+    // para que un asesor cotice el transporte (no es "gratis").
+    const zone = await getZoneById(q.transportZoneId);
+
+    // Ya hay cotización en esta conversación: si cambió algo (días, ciudad, altura...)
+    // sale una revisión (R2, R3...); si no cambió nada no se regenera.
+    // Si ya venció, sale una nueva (folio nuevo) aunque no haya cambios.
+    // Ganada / perdida no se toca (conserva su resultado): con cambios sale una cotización nueva.
+    const prevQuote = await findLatestQuoteForConversation(convo.id);
+    const changes = prevQuote ? diffForRevision(prevQuote, q, zone, lang) : [];
+    const currentState = convo?.state || convo?.conversationState || null;
+    const alreadyQuoted = prevQuote
+      ? prevQuote.status !== "EXPIRED" && changes.length === 0
+      : currentState === "QUOTE_DRAFTED";
+    const isRevision = Boolean(prevQuote) && REVISABLE_QUOTE_STATUSES.includes(prevQuote.status) && changes.length > 0;
+    const revisionChanges = isRevision ? changes : [];
+
+    if (!alreadyQuoted) {
+      // Match contra el catálogo de flota de la empresa
+      const matches = await findMatchingEquipment(company.id, q);
+      console.log("Equipment match:", matches.map((e) => e.model));
+
+      if (!matches.length) {
+        await setConversationState(convo.id, "MANUAL_REVIEW");
+        const reply = buildNoMatchReply({ lang, leadName: lead.name, q });
+        await replyText({ company, convo, to: from, body: reply });
         return;
       }
 
-      // Si ya existe QUOTE DRAFTED, solo pedimos email de nuevo (sin regenerar)
-      const reply = "Ya tengo tu cotización lista. ¿A qué email te la envío en PDF?";
-      await saveMessage({
+      const best = matches[0];
+      const transportZone = zone?.name || null;
+      const transportRoundTripMx = zone?.roundTripMx || 0;
+      const transportManual = !zone;
+
+      const durationDays = Number(q.durationDays);
+
+      const equipment = {
+        equipmentId: best.id,
+        equipmentModel: best.model,
+        name: best.name,
+        type: q.liftType, // "BRAZO" / "TIJERA"
+        height_m: Number(q.heightMeters),
+        height_ft: q.heightFeet ?? metersToFeet(q.heightMeters),
+        height_label: formatHeight(q, { compact: true, lang }),
+        terrain: q.terrain,
+        activity: q.activity
+      };
+
+      const result = await createDraftQuoteWithPdf({
         companyId: company.id,
-        conversationId: convo.id,
-        direction: "OUTBOUND",
-        body: reply,
-        waMessageId: null,
-        rawPayload: null
+        language: lang,
+        lead: {
+          name: lead.name || null,
+          phoneE164: from,
+          email: lead.email || null,
+          city: q.city || null
+        },
+        durationDays,
+        site: q.siteLat != null ? { lat: q.siteLat, lng: q.siteLng, address: q.siteAddress, name: q.siteName } : null,
+        transportZone,
+        transportZoneId: zone?.id || null,
+        transportRoundTripMx,
+        transportManual,
+        equipment,
+        meta: {
+          source: "whatsapp",
+          conversationId: convo.id,
+          qualificationSnapshot: q,
+          equipmentAlternatives: matches.slice(1).map((e) => e.model)
+        },
+        revisionOf: isRevision ? prevQuote : null,
+        revisionChanges
       });
-      await sendWhatsAppText(from, reply);
-      return;
-    }
 
-    // 7) Si falta info, seguimos calificando normal
-    await setConversationState(convo.id, nextState);
+      // Cambia estado conversacional para no duplicar
+      await setConversationState(convo.id, "QUOTE_DRAFTED");
+
+      const totalExact = result.options?.[0]?.totalMx ?? null;
+
+      const reply = buildQuoteDraftedReply({
+        lang,
+        leadName: lead.name,
+        quoteNumber: result.quoteNumber,
+        durationDays,
+        totalExactMx: totalExact,
+        transportZone,
+        transportRoundTripMx,
+        transportManual,
+        paint: result.paint,
+        paintSurchargeMx: result.options?.[0]?.paintSurchargeMx ?? 0,
+        previousQuoteNumber: result.previousQuoteNumber,
+        revisionChanges
+      });
 
-    const reply = buildNextQuestion({
-      leadName: lead.name,
-      missing,
-      invalidField,
-      invalidEmailAttempt
-    });
+      // ✅ ENVIAR PDF como documento por WhatsApp (con caption); el outbound registra el caption
+      // La Quote pasa a SENT cuando el documento sale (el outbox reintenta si Graph falla)
+      await replyDocument({
+        company,
+        convo,
+        to: from,
+        caption: reply,
+        pdfBuffer: result.pdfBuffer,
+        filename: result.filename,
+        quoteId: result.quoteId
+      });
 
-    // Guarda outbound
-    await saveMessage({
-      companyId: company.id,
-      conversationId: convo.id,
-      direction: "OUTBOUND",
-      body: reply,
-      waMessageId: null,
-      rawPayload: null
-    });
+      // Recordatorio antes de que venza + vencimiento (EXPIRED) a las 48 h
+      await scheduleQuoteFollowUps(company, { quoteId: result.quoteId, conversationId: convo.id, expiresAt: result.expiresAt });
+
+      // Mismo PDF al correo que capturamos (el resultado queda registrado en la Quote)
+      await sendQuoteEmail({
+        company,
+        lang,
+        quoteId: result.quoteId,
+        quoteNumber: result.quoteNumber,
+        leadName: lead.name,
+        to: lead.email,
+        pdfBuffer: result.pdfBuffer,
+        filename: result.filename,
+        summary: {
+          equipmentName: best.name,
+          durationDays,
+          totalMx: totalExact,
+          transportZone,
+          transportManual,
+          paint: result.paint
+        }
+      });
+      return;
+    }
 
-    await sendWhatsAppText(from, reply);
-  } catch (e) {
-    console.log("Webhook error:", e);
+    // Ya cotizado y sin cambios: no regeneramos
+    const folio = prevQuote ? ` *${prevQuote.quoteNumber}*` : "";
+    const reply = t(lang, "quote.already", { number: folio });
+    await replyText({ company, convo, to: from, body: reply });
+    return;
   }
-});
 
-function mxn(n) {
-  const val = Number.isFinite(n) ? n : 0;
-  return val.toLocaleString("es-MX", { style: "currency", currency: "MXN", maximumFractionDigits: 0 });
+  // 7) Si falta info, seguimos calificando normal
+  await setConversationState(convo.id, nextState, { askedField: lead.name ? missing[0] : "name" });
+
+  const question = buildNextQuestion({
+    company,
+    flow,
+    lang,
+    leadName: lead.name,
+    missing,
+    invalidField,
+    invalidEmailAttempt,
+    knownCities: await listKnownCities(company.id),
+    zoneCandidates: zoneRes?.candidates || [],
+    note: buildCorrectionNote(lang, corrections)
+  });
+
+  await replyInteractive({ company, convo, to: from, body: question.body, interactive: question.interactive });
+
+  // Si deja de contestar a media calificación, le damos un empujón (se cancela si responde)
+  await scheduleQualificationNudge(company, convo.id);
 }
 
-// Transporte redondo (SIN IVA) según doc maestro
-function resolveTransportByCity(cityRaw) {
-  const city = String(cityRaw || "").toLowerCase();
-
-  // Defaults
-  let transportZone = "Otra zona";
-  let transportRoundTripMx = 0;
-
-  if (city.includes("ramos")) {
-    transportZone = "Ramos Arizpe";
-    transportRoundTripMx = 2500;
-  } else if (city.includes("saltillo")) {
-    // Si el usuario no especifica norte/sur, usamos Norte por default (más conservador)
-    transportZone = "Saltillo Norte";
-    transportRoundTripMx = 2500;
-  } else if (city.includes("arteaga")) {
-    transportZone = "Arteaga";
-    transportRoundTripMx = 3000;
-  } else if (city.includes("derrama")) {
-    transportZone = "Derramadero";
-    transportRoundTripMx = 4500;
-  } else if (city.includes("santa catarina")) {
-    transportZone = "Santa Catarina";
-    transportRoundTripMx = 4500;
-  } else if (city.includes("apodaca")) {
-    transportZone = "Apodaca";
-    transportRoundTripMx = 4500;
+async function applyQuickReply(company, lead, quickReply) {
+  console.log("Quick reply:", quickReply.field, quickReply.value);
+
+  if (quickReply.field === "zone") {
+    // El id viene del cliente: la zona tiene que ser de esta empresa
+    const zone = await getZoneById(quickReply.value);
+    if (zone && zone.companyId === company.id) await setQualificationZone(lead.id, zone.id);
+    return;
   }
 
-  return { transportZone, transportRoundTripMx };
+  const patch = quickReplyToExtract(quickReply);
+  if (patch) await patchQualificationFromExtract(lead.id, patch);
+}
+
+function buildNoMatchReply({ lang, leadName, q }) {
+  return t(lang, "quote.no_match", {
+    name: leadName ? `${leadName}, ` : "",
+    type: q?.liftType ? valueLabel(lang, "type", q.liftType).toLowerCase() : t(lang, "value.equipment"),
+    height: formatHeight(q, { lang }),
+    terrain: q?.terrain === "TERRACERIA" ? t(lang, "quote.no_match_terrain") : ""
+  });
 }
 
-function buildQuoteDraftedReply({ leadName, quoteNumber, durationDays, totalExactMx, transportZone, transportRoundTripMx }) {
-  const name = leadName ? `${leadName}` : "¡Listo!";
-  const durTxt = durationDays === 1 ? "1 día" : `${durationDays} días`;
+function buildQuoteDraftedReply({
+  lang,
+  leadName,
+  quoteNumber,
+  durationDays,
+  totalExactMx,
+  transportZone,
+  transportRoundTripMx,
+  transportManual,
+  paint,
+  paintSurchargeMx,
+  previousQuoteNumber = null,
+  revisionChanges = []
+}) {
+  const name = leadName ? `${leadName}` : t(lang, "quote.greeting_fallback");
+  const days = fmtDays(lang, durationDays);
+  const money = (n) => fmtMoney(lang, n);
 
   const transportTxt =
-    transportRoundTripMx > 0
-      ? `Transporte redondo (${transportZone}): ${mxn(transportRoundTripMx)} + IVA.`
-      : "Transporte: por cotizar (necesito zona exacta).";
+    !transportManual && transportRoundTripMx > 0
+      ? t(lang, "quote.transport_zone", { zone: transportZone, amount: money(transportRoundTripMx) })
+      : t(lang, "quote.transport_manual");
 
   const totalTxt =
     Number.isFinite(totalExactMx) && totalExactMx > 0
-      ? `Total (tu solicitud ${durTxt}, con IVA): ${mxn(totalExactMx)}.`
-      : `Ya generé la cotización base para ${durTxt}.`;
+      ? t(lang, "quote.total", { days, amount: money(totalExactMx) })
+      : t(lang, "quote.total_base", { days });
+
+  // Pintura: el recargo ya va dentro del total; el depósito es aparte y se devuelve
+  const paintTxt = paint
+    ? `\n${t(lang, "quote.paint", { pct: paint.surchargePct, surcharge: money(paintSurchargeMx), deposit: money(paint.depositMx) })}`
+    : "";
 
   // Caption corto (WhatsApp lo muestra en el documento)
-  return `${name}. ✅ Te envío tu cotización *${quoteNumber}* en PDF.\n\n${totalTxt}\n${transportTxt}`;
+  if (previousQuoteNumber) {
+    const changesTxt = formatRevisionChanges(revisionChanges).map((c) => `• ${c}`).join("\n");
+    const head = t(lang, "quote.revised", { name, number: quoteNumber, previous: previousQuoteNumber });
+    return `${head}\n\n${t(lang, "quote.changes")}\n${changesTxt}\n\n${totalTxt}\n${transportTxt}${paintTxt}`;
+  }
+  return `${t(lang, "quote.sent", { name, number: quoteNumber })}\n\n${totalTxt}\n${transportTxt}${paintTxt}`;
 }
 
 const port = process.env.PORT || 3000;
-app.listen(port, () => console.log(`Listening on ${port}`));
+app.listen(port, () => {
+  console.log(`Listening on ${port}`);
+  startInboundWorker(processInboundJob).catch((e) => console.log("Inbound worker start error:", e));
+  startOutboxWorker();
+  startScheduler();
+  if (SKIP_SIGNATURE_CHECK) console.log("WARNING: WHATSAPP_SKIP_SIGNATURE_CHECK=true, webhook signatures are NOT verified");
+  else if (!APP_SECRET) console.log("WARNING: Missing WHATSAPP_APP_SECRET, every POST /webhooks/whatsapp will be rejected");
+});
@@ -0,0 +1,289 @@
+/**
+ * src/admin_api.js (ESM)
+ * API interna (ventas / admin). Auth: header "Authorization: Bearer <ADMIN_API_TOKEN>".
+ */
+
+import crypto from "node:crypto";
+import express from "express";
+import { Prisma } from "@prisma/client";
+import { prisma } from "./db.js";
+import { listQuotes, getQuoteWithItems, changeQuoteStatus } from "./quote_lifecycle.js";
+import { pauseBot, resumeBot, touchAgentActivity } from "./agent_handoff.js";
+import { replyText, replyDocument } from "./outbound.js";
+import { listOutbox, getOutboxItem, resendOutboxItem } from "./outbox.js";
+import { DEFAULT_FLOW, validateFlowDefinition } from "./qualification_flow.js";
+import { listScheduledMessages, cancelScheduledMessage } from "./scheduler.js";
+import { createRateCardVersion, validateRateCardLines } from "./rate_cards.js";
+
+const ADMIN_API_TOKEN = process.env.ADMIN_API_TOKEN;
+
+function tokenMatches(received, expected) {
+  const a = Buffer.from(String(received || ""));
+  const b = Buffer.from(String(expected || ""));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+export function requireAdminToken(req, res, next) {
+  if (!ADMIN_API_TOKEN) {
+    return res.status(503).json({ error: "admin_api_disabled" });
+  }
+
+  const m = String(req.get("Authorization") || "").match(/^Bearer\s+(.+)$/i);
+  if (!m || !tokenMatches(m[1].trim(), ADMIN_API_TOKEN)) {
+    console.log("Rejected admin API call:", req.method, req.originalUrl, "ip:", req.ip);
+    return res.status(401).json({ error: "unauthorized" });
+  }
+
+  // Quién hizo el cambio (opcional, para el historial)
+  req.adminUser = String(req.get("X-Admin-User") || "").trim() || "admin";
+  return next();
+}
+
+// Express 4 no atrapa errores de handlers async
+function asyncRoute(fn) {
+  return (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
+}
+
+export function createAdminRouter() {
+  const router = express.Router();
+  router.use(requireAdminToken);
+
+  // GET /api/quotes?companyId=&status=SENT,WON&leadId=&from=&to=&quoteNumber=&limit=&offset=
+  router.get(
+    "/quotes",
+    asyncRoute(async (req, res) => {
+      res.json(await listQuotes(req.query));
+    })
+  );
+
+  router.get(
+    "/quotes/:id",
+    asyncRoute(async (req, res) => {
+      const quote = await getQuoteWithItems(req.params.id);
+      if (!quote) return res.status(404).json({ error: "not_found" });
+      res.json(quote);
+    })
+  );
+
+  // POST /api/quotes/:id/status { status: "LOST", reason: "COMPETITOR", note: "..." }
+  router.post(
+    "/quotes/:id/status",
+    asyncRoute(async (req, res) => {
+      const { status, reason, note } = req.body || {};
+      const result = await changeQuoteStatus(req.params.id, { status, reason, note, changedBy: req.adminUser });
+
+      if (!result.ok) {
+        const code = result.reason === "not_found" ? 404 : result.reason === "invalid_transition" ? 409 : 400;
+        return res.status(code).json({ error: result.reason, from: result.from, to: result.to });
+      }
+      res.json(result.quote);
+    })
+  );
+
+  // --- Modo agente ---
+
+  router.get(
+    "/conversations/:id",
+    asyncRoute(async (req, res) => {
+      const convo = await prisma.conversation.findUnique({
+        where: { id: req.params.id },
+        include: {
+          lead: true,
+          messages: { orderBy: { createdAt: "desc" }, take: Math.min(Number(req.query.limit) || 50, 200) },
+        },
+      });
+      if (!convo) return res.status(404).json({ error: "not_found" });
+      res.json(convo);
+    })
+  );
+
+  // POST /api/conversations/:id/takeover  => pausa el bot y asigna al agente
+  router.post(
+    "/conversations/:id/takeover",
+    asyncRoute(async (req, res) => {
+      const convo = await prisma.conversation.findUnique({ where: { id: req.params.id } });
+      if (!convo) return res.status(404).json({ error: "not_found" });
+      res.json(await pauseBot(convo.id, { agent: req.body?.agent || req.adminUser, reason: "AGENT_TAKEOVER" }));
+    })
+  );
+
+  // POST /api/conversations/:id/release  => el bot retoma
+  router.post(
+    "/conversations/:id/release",
+    asyncRoute(async (req, res) => {
+      const convo = await prisma.conversation.findUnique({ where: { id: req.params.id } });
+      if (!convo) return res.status(404).json({ error: "not_found" });
+      res.json(await resumeBot(convo.id));
+    })
+  );
+
+  // POST /api/conversations/:id/messages
+  //   { type: "text", body }
+  //   { type: "document", filename, base64, caption }
+  // Mandar como agente implica tomar la conversación (pausa el bot si estaba activo).
+  router.post(
+    "/conversations/:id/messages",
+    asyncRoute(async (req, res) => {
+      const convo = await prisma.conversation.findUnique({
+        where: { id: req.params.id },
+        include: { company: true, lead: true },
+      });
+      if (!convo) return res.status(404).json({ error: "not_found" });
+
+      const agent = req.body?.agent || req.adminUser;
+      const type = String(req.body?.type || "text").toLowerCase();
+      const to = convo.lead.phoneE164;
+
+      let sent;
+      if (type === "text") {
+        const body = String(req.body?.body || "").trim();
+        if (!body) return res.status(400).json({ error: "body_required" });
+        sent = await replyText({ company: convo.company, convo, to, body, sentBy: agent });
+      } else if (type === "document") {
+        const { filename, base64, caption } = req.body || {};
+        if (!filename || !base64) return res.status(400).json({ error: "filename_and_base64_required" });
+        const pdfBuffer = Buffer.from(String(base64), "base64");
+        sent = await replyDocument({ company: convo.company, convo, to, caption, pdfBuffer, filename, sentBy: agent });
+      } else {
+        return res.status(400).json({ error: "invalid_type" });
+      }
+
+      if (!convo.botPaused) await pauseBot(convo.id, { agent, reason: "AGENT_TAKEOVER" });
+      else await touchAgentActivity(convo.id, agent);
+
+      res.status(sent.ok ? 200 : sent.queued ? 202 : 502).json({
+        ok: sent.ok,
+        messageId: sent.messageId,
+        wamid: sent.wamid,
+        status: sent.status,
+        outboxStatus: sent.outboxStatus,
+        error: sent.ok ? undefined : sent.reason || sent.data?.error || null,
+      });
+    })
+  );
+
+  // --- Tarifas ---
+
+  // POST /api/companies/:id/rate-cards/:model
+  //   { effectiveFrom?, tiers: [{ minDays, maxDays, ratePerDayMx }], bundles?: [{ days, priceMx }] }
+  // Publica una versión nueva; las cotizaciones anteriores conservan la suya.
+  router.post(
+    "/companies/:id/rate-cards/:model",
+    asyncRoute(async (req, res) => {
+      const company = await prisma.company.findUnique({ where: { id: req.params.id } });
+      if (!company) return res.status(404).json({ error: "not_found" });
+
+      const { effectiveFrom, tiers, bundles } = req.body || {};
+      const v = validateRateCardLines({ effectiveFrom, tiers, bundles });
+      if (!v.ok) return res.status(400).json({ error: "invalid_rate_card", details: v.errors });
+
+      const equipmentModel = String(req.params.model).trim(); // = Equipment.model
+      let card;
+      try {
+        card = await createRateCardVersion(company.id, equipmentModel, { effectiveFrom, tiers, bundles: bundles || [] });
+      } catch (e) {
+        // Otra publicación tomó el mismo número de versión
+        if (e?.code === "P2002") return res.status(409).json({ error: "version_conflict" });
+        throw e;
+      }
+
+      console.log("Rate card published by", req.adminUser, company.id, equipmentModel, `v${card.version}`);
+      res.status(201).json(card);
+    })
+  );
+
+  // --- Flujo de calificación por empresa ---
+
+  // GET /api/companies/:id/flow  => { custom, flow } (sin flujo propio regresa el default)
+  router.get(
+    "/companies/:id/flow",
+    asyncRoute(async (req, res) => {
+      const company = await prisma.company.findUnique({ where: { id: req.params.id } });
+      if (!company) return res.status(404).json({ error: "not_found" });
+      res.json({ custom: company.flowDefinition != null, flow: company.flowDefinition ?? DEFAULT_FLOW });
+    })
+  );
+
+  // PUT /api/companies/:id/flow { fields: [...] }  |  { flow: null } => regresa al default
+  router.put(
+    "/companies/:id/flow",
+    asyncRoute(async (req, res) => {
+      const company = await prisma.company.findUnique({ where: { id: req.params.id } });
+      if (!company) return res.status(404).json({ error: "not_found" });
+
+      const body = req.body || {};
+      const reset = "flow" in body && body.flow === null;
+      if (!reset) {
+        const v = validateFlowDefinition(body);
+        if (!v.ok) return res.status(400).json({ error: "invalid_flow", details: v.errors });
+      }
+
+      await prisma.company.update({
+        where: { id: company.id },
+        data: { flowDefinition: reset ? Prisma.DbNull : body }
+      });
+      console.log("Flow updated by", req.adminUser, company.id, reset ? "(default)" : `${body.fields.length} fields`);
+      res.json({ custom: !reset, flow: reset ? DEFAULT_FLOW : body });
+    })
+  );
+
+  // --- Outbox (dead-letter) ---
+
+  // GET /api/outbox?status=DEAD&companyId=&limit=&offset=
+  router.get(
+    "/outbox",
+    asyncRoute(async (req, res) => {
+      res.json(await listOutbox(req.query));
+    })
+  );
+
+  router.get(
+    "/outbox/:id",
+    asyncRoute(async (req, res) => {
+      const item = await getOutboxItem(req.params.id);
+      if (!item) return res.status(404).json({ error: "not_found" });
+      res.json(item);
+    })
+  );
+
+  // POST /api/outbox/:id/resend  => solo items DEAD; reinicia intentos y manda ya
+  router.post(
+    "/outbox/:id/resend",
+    asyncRoute(async (req, res) => {
+      const r = await resendOutboxItem(req.params.id);
+      if (!r.ok) return res.status(r.reason === "not_found" ? 404 : 409).json({ error: r.reason, status: r.status });
+
+      console.log("Outbox resend by", req.adminUser, req.params.id, r.result?.outboxStatus);
+      res.json({ ok: !!r.result?.ok, outboxStatus: r.result?.outboxStatus, wamid: r.result?.wamid, error: r.result?.reason });
+    })
+  );
+
+  // --- Seguimientos programados (recordatorios, vencimientos, empujones) ---
+
+  // GET /api/scheduled?status=PENDING&kind=QUOTE_REMINDER&companyId=&conversationId=&quoteId=&limit=&offset=
+  router.get(
+    "/scheduled",
+    asyncRoute(async (req, res) => {
+      res.json(await listScheduledMessages(req.query));
+    })
+  );
+
+  // POST /api/scheduled/:id/cancel  => solo PENDING
+  router.post(
+    "/scheduled/:id/cancel",
+    asyncRoute(async (req, res) => {
+      const r = await cancelScheduledMessage(req.params.id);
+      if (!r.ok) return res.status(r.reason === "not_found" ? 404 : 409).json({ error: r.reason, status: r.status });
+
+      console.log("Scheduled cancel by", req.adminUser, req.params.id);
+      res.json(r.item);
+    })
+  );
+
+  router.use((err, req, res, next) => {
+    console.log("Admin API error:", req.method, req.originalUrl, err);
+    res.status(500).json({ error: "internal_error" });
+  });
+
+  return router;
+}
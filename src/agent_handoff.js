@@ -0,0 +1,79 @@
+/**
+ * src/agent_handoff.js (ESM)
+ * Modo agente por conversación: el bot se pausa mientras un humano atiende
+ * y se reactiva solo tras AGENT_IDLE_MINUTES sin actividad del agente.
+ */
+
+import { prisma } from "./db.js";
+import { companySetting } from "./crm.js";
+
+const AGENT_IDLE_MINUTES = Number(process.env.AGENT_IDLE_MINUTES || 30);
+
+// Pedir a un humano tiene que ser explícito: "plataforma para una persona",
+// "necesito un agente limpiador" o "¿me pueden llamar con el precio?" no pausan el bot.
+// Una palabra suelta no basta: va con verbo de intención ("quiero un asesor") o es frase ("persona real").
+const HUMAN_REQUEST_RES = [
+  // "quiero un asesor", "hablar con el agente", "me pasas con una ejecutiva"
+  /\b(quiero|quisiera|ocupo|hablar|platicar|comunicar(me)?|comunicame|pasar(me)?|pasame|pasas|contactar(me)?)\s+(con\s+)?(un|una|el|la|algun|alguna|su|tu)?\s*(asesora?|agente|humano|vendedora?|ejecutiva?)\b/,
+  // "quiero hablar con alguien", "me pasas con una persona", "comunicame con alguien"
+  /\b(hablar|platicar|comunicar(me)?|comunicame|pasar(me)?|pasame|pasas|contactar(me)?)\b.{0,20}\b(alguien|una persona|un humano)\b/,
+  /\b(persona real|ser humano|atencion humana|atencion a clientes|servicio al cliente)\b/,
+  // "talk to a human", "can I speak with someone", "I want a real person"
+  /\b(talk|speak|chat)\s+(to|with)\s+(a |an |the |your )?(human|agent|person|representative|rep|someone|somebody|salesperson)\b/,
+  /\b(real person|live agent|human agent|customer service|sales rep(resentative)?)\b/
+];
+
+export function wantsHuman(text) {
+  const n = String(text || "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "");
+  return HUMAN_REQUEST_RES.some((re) => re.test(n));
+}
+
+export async function pauseBot(conversationId, { agent = null, reason = "AGENT_TAKEOVER" } = {}) {
+  const now = new Date();
+  return prisma.conversation.update({
+    where: { id: conversationId },
+    data: {
+      botPaused: true,
+      assignedAgent: agent,
+      pausedAt: now,
+      pauseReason: reason,
+      agentLastActivityAt: agent ? now : null
+    }
+  });
+}
+
+export async function resumeBot(conversationId) {
+  return prisma.conversation.update({
+    where: { id: conversationId },
+    data: { botPaused: false, assignedAgent: null, pausedAt: null, pauseReason: null, agentLastActivityAt: null }
+  });
+}
+
+export async function touchAgentActivity(conversationId, agent) {
+  return prisma.conversation.update({
+    where: { id: conversationId },
+    data: { agentLastActivityAt: new Date(), ...(agent ? { assignedAgent: agent } : {}) }
+  });
+}
+
+/**
+ * ¿Puede contestar el bot? Si está en pausa pero el agente lleva más de
+ * agentIdleMinutes sin actividad, se reactiva aquí mismo (lazy, sin cron).
+ */
+export async function ensureBotActive(company, convo) {
+  if (!convo?.botPaused) return true;
+
+  const idleMinutes = Number(companySetting(company, "agentIdleMinutes", AGENT_IDLE_MINUTES));
+  const lastActivity = convo.agentLastActivityAt || convo.pausedAt;
+  const idleMs = lastActivity ? Date.now() - new Date(lastActivity).getTime() : Infinity;
+
+  if (idleMs < idleMinutes * 60 * 1000) return false;
+
+  console.log("Agent idle, resuming bot:", convo.id, convo.assignedAgent);
+  await resumeBot(convo.id);
+  convo.botPaused = false;
+  return true;
+}
@@ -1,81 +1,147 @@
-import OpenAI from "openai";
+/**
+ * src/ai_extractor.js (ESM)
+ * Extractor de requisitos con LLM. El proveedor (OpenAI, servidor local compatible, stub)
+ * se elige por env (ver llm_providers.js) y su salida se valida contra LEAD_SCHEMA aquí.
+ */
 
-const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+import { createLlmProvider, llmConfigFromEnv } from "./llm_providers.js";
+import { validateJsonSchema } from "./json_schema.js";
+import { extractLeadFieldsByRules } from "./rule_extractor.js";
+import { normalizeHeight } from "./parse.js";
 
-export async function extractLeadFields({ text, known }) {
-  if (!process.env.OPENAI_API_KEY) {
-    throw new Error("Missing OPENAI_API_KEY");
-  }
-
-  const instructions = `
-Eres un extractor de requisitos para renta de plataformas elevadoras (TSC Industrial).
+const INSTRUCTIONS = `
+Eres un extractor de requisitos para renta de plataformas elevadoras.
 Devuelve SOLO JSON válido.
 
 Reglas:
 - No inventes datos. Si no está explícito, usa null.
+- El cliente puede escribir en español o en inglés; los valores normalizados (type, activity, terrain) van igual.
 - Extrae nombre aunque venga dentro de una frase (ej: "me llamo Sergio").
 - Extrae email aunque venga dentro de texto (ej: "mi correo es compras@empresa.com")
 - Si no existe email explícito, usa null.
 - Normaliza:
-  - height_m: número en metros (float) o null
+  - height_value: número de la altura tal como lo dijo el cliente (ej: 45 de "45 pies") o null
+  - height_unit: "m" | "ft" | null (pies/ft/feet => "ft"; m/metros => "m"; número sin unidad => tu mejor suposición)
+  - height_kind: "PLATFORM" si habla del piso de la plataforma/canasta, "WORKING" si es la altura a la que
+    va a trabajar o alcanzar, null si no lo dice ("plataforma de 14 m" = el equipo, no la altura de plataforma)
   - type: "BRAZO" | "TIJERA" | null
   - activity: "PINTURA" | "GENERAL" | null
   - terrain: "PISO_FIRME" | "TERRACERIA" | null
   - city: string o null
   - duration_days: entero o null
-- confidence: 0..1
+- confidence: 0..1 (general)
+- field_confidence: 0..1 por campo (null si el campo es null; height_m = confianza de la altura).
+  Baja (< 0.7) si el dato es ambiguo,
+  ej: "14" sin unidad (¿metros o pies?), ciudad que no reconoces, días implícitos.
 - missing: array con campos faltantes clave
+
+Contexto de la conversación:
+- PENDING_QUESTION es el campo que el bot acaba de preguntar. Una respuesta corta ("30", "concreto",
+  "la tijera") contesta ESE campo (ej: "30" a duration_days => 30 días).
+- CURRENT es lo que ya tenemos del cliente. Devuelve solo lo que dice USER_TEXT; no copies CURRENT.
+- Si el cliente corrige un dato anterior ("perdón, eran 16 metros", "mejor 2 semanas"), devuelve el valor nuevo.
+- HISTORY son los últimos mensajes (BOT / CLIENTE), solo como contexto: no extraigas datos de ahí.
 `;
 
-  const schema = {
-    type: "object",
-    additionalProperties: false,
-    properties: {
-      name: { type: ["string", "null"] },
-      email: { type: ["string", "null"] },
-      height_m: { type: ["number", "null"] },
-      type: { type: ["string", "null"], enum: ["BRAZO", "TIJERA", null] },
-      activity: { type: ["string", "null"], enum: ["PINTURA", "GENERAL", null] },
-      terrain: { type: ["string", "null"], enum: ["PISO_FIRME", "TERRACERIA", null] },
-      city: { type: ["string", "null"] },
-      duration_days: { type: ["integer", "null"] },
-      confidence: { type: "number" },
-      missing: { type: "array", items: { type: "string" } }
+const HISTORY_CHARS = 300;
+
+const CONFIDENCE_FIELDS = ["height_m", "type", "activity", "terrain", "city", "duration_days"];
+
+export const LEAD_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    name: { type: ["string", "null"] },
+    email: { type: ["string", "null"] },
+    height_value: { type: ["number", "null"] },
+    height_unit: { type: ["string", "null"], enum: ["m", "ft", null] },
+    height_kind: { type: ["string", "null"], enum: ["WORKING", "PLATFORM", null] },
+    type: { type: ["string", "null"], enum: ["BRAZO", "TIJERA", null] },
+    activity: { type: ["string", "null"], enum: ["PINTURA", "GENERAL", null] },
+    terrain: { type: ["string", "null"], enum: ["PISO_FIRME", "TERRACERIA", null] },
+    city: { type: ["string", "null"] },
+    duration_days: { type: ["integer", "null"] },
+    confidence: { type: "number" },
+    field_confidence: {
+      type: "object",
+      additionalProperties: false,
+      properties: Object.fromEntries(CONFIDENCE_FIELDS.map((k) => [k, { type: ["number", "null"] }])),
+      required: CONFIDENCE_FIELDS
     },
-    required: [
-      "name",
-      "email",
-      "height_m",
-      "type",
-      "activity",
-      "terrain",
-      "city",
-      "duration_days",
-      "confidence",
-      "missing"
-    ]
-  };
-
-  const resp = await client.responses.create({
-    model: "gpt-4o-mini",
-    instructions,
-    input: [
-      {
-        role: "user",
-        content: `KNOWN (JSON): ${JSON.stringify(known || {})}\nUSER_TEXT: ${text}`
-      }
-    ],
-    // ✅ ASÍ SE HACE EN RESPONSES API:
-    text: {
-      format: {
-        type: "json_schema",
-        name: "lead_extractor",
-        strict: true,
-        schema
-      }
-    }
+    missing: { type: "array", items: { type: "string" } }
+  },
+  required: [
+    "name",
+    "email",
+    "height_value",
+    "height_unit",
+    "height_kind",
+    "type",
+    "activity",
+    "terrain",
+    "city",
+    "duration_days",
+    "confidence",
+    "field_confidence",
+    "missing"
+  ]
+};
+
+// Stub: las reglas hacen de "LLM" (determinístico, sin red), con las mismas zonas que la pasada de reglas
+function stubRespond({ text, known, expectField, zones }) {
+  const r = extractLeadFieldsByRules({ text, known, expectField, zones });
+  const out = Object.fromEntries(LEAD_SCHEMA.required.map((k) => [k, r[k] ?? null]));
+  out.field_confidence = Object.fromEntries(CONFIDENCE_FIELDS.map((k) => [k, r.field_confidence[k] ?? null]));
+  return out;
+}
+
+// Se crea al primer uso: sin credenciales el proveedor lanza y tumbaría el import
+let provider = null;
+
+function getProvider() {
+  if (!provider) {
+    const config = llmConfigFromEnv();
+    provider = createLlmProvider({ ...config, respond: stubRespond });
+  }
+  return provider;
+}
+
+function formatHistory(history) {
+  return (history || [])
+    .map((m) => `${m.direction === "OUTBOUND" ? "BOT" : "CLIENTE"}: ${String(m.body || "").slice(0, HISTORY_CHARS)}`)
+    .join("\n");
+}
+
+/**
+ * @param {{ text: string, known?: Object, expectField?: string|null, current?: Object|null, history?: Object[], zones?: Object[] }} input
+ *   current: Qualification en shape del extractor; history: Message[] (direction, body), más viejo primero;
+ *   zones: zonas de transporte de la empresa (solo las usa el stub, para reconocer ciudades como las reglas)
+ */
+export async function extractLeadFields({ text, known, expectField = null, current = null, history = [], zones = [] }) {
+  const llm = getProvider();
+
+  const input = [
+    `PENDING_QUESTION: ${expectField || "none"}`,
+    `CURRENT (JSON): ${JSON.stringify(current || {})}`,
+    `HISTORY:\n${formatHistory(history) || "(sin mensajes previos)"}`,
+    `KNOWN (JSON): ${JSON.stringify(known || {})}`,
+    `USER_TEXT: ${text}`
+  ].join("\n");
+
+  const out = await llm.extractJson({
+    name: "lead_extractor",
+    instructions: INSTRUCTIONS,
+    input,
+    schema: LEAD_SCHEMA,
+    context: { text, known, expectField, current, history, zones }
   });
 
-  const jsonText = resp.output_text;
-  return JSON.parse(jsonText);
+  const check = validateJsonSchema(out, LEAD_SCHEMA);
+  if (!check.ok) {
+    throw new Error(`extractLeadFields: ${llm.name} output failed schema: ${check.errors.slice(0, 5).join("; ")}`);
+  }
+
+  // Metros/pies de trabajo se calculan aquí, no los inventa el modelo
+  const h = normalizeHeight({ value: out.height_value, unit: out.height_unit, kind: out.height_kind });
+  return { ...out, height_m: h?.meters ?? null, height_ft: h?.feet ?? null };
 }
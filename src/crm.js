@@ -1,14 +1,57 @@
+import { Prisma } from "@prisma/client";
 import { prisma } from "./db.js";
+import { metersToFeet } from "./parse.js";
 
+const DEFAULT_PHONE_NUMBER_ID = process.env.WHATSAPP_PHONE_NUMBER_ID;
+
+/**
+ * Empresa "default" de la instalación (la que existía antes de multi-tenant).
+ * Se usa para el número configurado por env (WHATSAPP_PHONE_NUMBER_ID).
+ */
 export async function getOrCreateCompany() {
-  const name = "TSC Industrial";
+  const name = process.env.DEFAULT_COMPANY_NAME || "TSC Industrial";
   return prisma.company.upsert({
     where: { name },
     update: {},
-    create: { name, paintDepositMxn: 7500, paintSurchargePct: 15 }
+    create: { name, legalName: "TS Contratistas", paintDepositMxn: 7500, paintSurchargePct: 15 }
   });
 }
 
+/**
+ * Tenant dueño del número que recibió el mensaje (value.metadata.phone_number_id).
+ * - Si alguna Company tiene ese waPhoneNumberId, es esa.
+ * - Si es el número del env (o no hay número en env: instalación vieja de 1 empresa),
+ *   es la empresa default y le amarramos el número para las siguientes veces.
+ * - Si no, null: número que no pertenece a nadie.
+ */
+export async function resolveCompanyByPhoneNumberId(phoneNumberId) {
+  if (phoneNumberId) {
+    const owner = await prisma.company.findUnique({ where: { waPhoneNumberId: phoneNumberId } });
+    if (owner) return owner;
+  }
+
+  const isDefaultNumber = !DEFAULT_PHONE_NUMBER_ID || phoneNumberId === DEFAULT_PHONE_NUMBER_ID;
+  if (!isDefaultNumber) return null;
+
+  const company = await getOrCreateCompany();
+  if (phoneNumberId && DEFAULT_PHONE_NUMBER_ID && !company.waPhoneNumberId) {
+    return prisma.company.update({
+      where: { id: company.id },
+      data: { waPhoneNumberId: phoneNumberId }
+    });
+  }
+  return company;
+}
+
+/**
+ * Lee un setting de Company.settings (Json) con fallback.
+ */
+export function companySetting(company, key, fallback = null) {
+  const settings = company?.settings && typeof company.settings === "object" ? company.settings : {};
+  const v = settings[key];
+  return v == null || v === "" ? fallback : v;
+}
+
 export async function upsertLead(companyId, phoneE164) {
   return prisma.lead.upsert({
     where: { companyId_phoneE164: { companyId, phoneE164 } },
@@ -29,15 +72,26 @@ export async function getOrCreateConversation(companyId, leadId) {
   });
 }
 
-export async function saveMessage({ companyId, conversationId, direction, body, waMessageId, rawPayload }) {
-  await prisma.message.create({
+/**
+ * Conversación con su empresa y lead (lo que necesita el worker de inbound).
+ */
+export async function getConversationContext(conversationId) {
+  return prisma.conversation.findUnique({
+    where: { id: conversationId },
+    include: { company: true, lead: true }
+  });
+}
+
+export async function saveMessage({ companyId, conversationId, direction, body, waMessageId, rawPayload, sentBy }) {
+  const message = await prisma.message.create({
     data: {
       companyId,
       conversationId,
       direction,
       body,
       waMessageId: waMessageId || null,
-      rawPayload: rawPayload || undefined
+      rawPayload: rawPayload || undefined,
+      sentBy: sentBy || null
     }
   });
 
@@ -45,6 +99,160 @@ export async function saveMessage({ companyId, conversationId, direction, body,
     where: { id: conversationId },
     data: { lastMessageAt: new Date() }
   });
+
+  return message;
+}
+
+/**
+ * Guarda el INBOUND junto con su InboundJob en un solo INSERT (idempotente).
+ * waMessageId es @unique: si Meta reintenta la entrega, el create choca (P2002) y
+ * regresamos { duplicate: true }. No se pierde nada: el job se guardó con el mensaje,
+ * así que si el proceso murió antes de procesarlo la cola lo retoma. Solo un mensaje
+ * sin procesar y SIN job (guardado antes de que existiera la cola) se vuelve a encolar
+ * ({ duplicate: true, requeued: true }). Un job FAILED se queda así: pudo haber mandado
+ * mensajes en sus intentos; lo revisa un operador.
+ */
+export async function saveInboundMessage({ companyId, conversationId, body, waMessageId, rawPayload }) {
+  let message;
+  try {
+    message = await prisma.message.create({
+      data: {
+        companyId,
+        conversationId,
+        direction: "INBOUND",
+        body,
+        waMessageId: waMessageId || null,
+        rawPayload: rawPayload || undefined,
+        inboundJob: { create: { companyId, conversationId } }
+      }
+    });
+  } catch (e) {
+    if (e?.code === "P2002") return requeueUnprocessed(waMessageId);
+    throw e;
+  }
+
+  await prisma.conversation.update({
+    where: { id: conversationId },
+    data: { lastMessageAt: new Date() }
+  });
+
+  return { duplicate: false, message };
+}
+
+async function requeueUnprocessed(waMessageId) {
+  const message = await prisma.message.findUnique({ where: { waMessageId }, include: { inboundJob: true } });
+  if (!message || message.processedAt) return { duplicate: true, requeued: false, message };
+
+  if (message.inboundJob) return { duplicate: true, requeued: false, message };
+
+  try {
+    await prisma.inboundJob.create({
+      data: { companyId: message.companyId, conversationId: message.conversationId, messageId: message.id }
+    });
+  } catch (e) {
+    // Otra entrega del mismo mensaje lo encoló al mismo tiempo
+    if (e?.code === "P2002") return { duplicate: true, requeued: false, message };
+    throw e;
+  }
+  return { duplicate: true, requeued: true, message };
+}
+
+export async function markMessageProcessed(messageId) {
+  return prisma.message.update({
+    where: { id: messageId },
+    data: { processedAt: new Date() }
+  });
+}
+
+// Orden de los status de Meta. failed es terminal; los demás pueden llegar desordenados.
+const STATUS_RANK = { sent: 1, delivered: 2, read: 3, failed: 4 };
+
+function isStatusUpgrade(current, next) {
+  return (STATUS_RANK[next] || 0) > (STATUS_RANK[current] || 0);
+}
+
+/**
+ * Pega el wamid devuelto por Graph al Message OUTBOUND.
+ * Un status puede llegar antes que esto (carrera con el webhook): esos eventos
+ * quedan huérfanos por waMessageId y aquí se ligan al mensaje.
+ */
+export async function attachWaMessageId(messageId, waMessageId) {
+  await prisma.message.update({
+    where: { id: messageId },
+    data: { waMessageId }
+  });
+
+  const orphans = await prisma.messageStatusEvent.findMany({
+    where: { waMessageId, messageId: null },
+    orderBy: { occurredAt: "asc" }
+  });
+  if (!orphans.length) return;
+
+  await prisma.messageStatusEvent.updateMany({
+    where: { waMessageId, messageId: null },
+    data: { messageId }
+  });
+
+  let latest = null;
+  for (const ev of orphans) {
+    if (isStatusUpgrade(latest?.status, ev.status)) latest = ev;
+  }
+  if (latest) {
+    await prisma.message.update({
+      where: { id: messageId },
+      data: { deliveryStatus: latest.status, deliveryStatusAt: latest.occurredAt }
+    });
+  }
+}
+
+/**
+ * Guarda un callback de `statuses` del webhook en el timeline del mensaje
+ * y actualiza el último status (sin retroceder: un "delivered" tardío no pisa "read").
+ */
+export async function recordMessageStatus(st) {
+  const waMessageId = st?.id;
+  const status = cleanStr(st?.status)?.toLowerCase();
+  if (!waMessageId || !status) return null;
+
+  const ts = Number(st?.timestamp);
+  const occurredAt = Number.isFinite(ts) && ts > 0 ? new Date(ts * 1000) : new Date();
+  const err = st?.errors?.[0] || null;
+
+  const message = await prisma.message.findUnique({ where: { waMessageId } });
+
+  let event;
+  try {
+    event = await prisma.messageStatusEvent.create({
+      data: {
+        messageId: message?.id || null,
+        waMessageId,
+        status,
+        errorCode: Number.isFinite(Number(err?.code)) ? Number(err.code) : null,
+        errorTitle: cleanStr(err?.title || err?.message),
+        errorDetails: cleanStr(err?.error_data?.details),
+        recipientId: cleanStr(st?.recipient_id),
+        occurredAt,
+        rawPayload: st
+      }
+    });
+  } catch (e) {
+    // Meta también reintenta statuses: mismo (waMessageId, status) => no-op
+    if (e?.code === "P2002") return null;
+    throw e;
+  }
+
+  if (status === "failed") {
+    console.log("Outbound failed:", waMessageId, event.errorCode, event.errorTitle, event.errorDetails);
+  }
+
+  if (message && isStatusUpgrade(message.deliveryStatus, status)) {
+    await prisma.message.update({
+      where: { id: message.id },
+      data: { deliveryStatus: status, deliveryStatusAt: occurredAt }
+    });
+  }
+
+  return event;
 }
 
 export async function setLeadName(leadId, name) {
@@ -54,6 +262,13 @@ export async function setLeadName(leadId, name) {
   });
 }
 
+export async function setLeadLanguage(leadId, language) {
+  return prisma.lead.update({
+    where: { id: leadId },
+    data: { language }
+  });
+}
+
 export async function setLeadEmail(leadId, email) {
   const clean = String(email || "").trim().toLowerCase();
 
@@ -72,13 +287,30 @@ export async function setLeadEmail(leadId, email) {
   return { ok: true };
 }
 
-export async function setConversationState(conversationId, state) {
+/**
+ * `askedField`: lo que el bot acaba de preguntar (el extractor lo usa para respuestas cortas).
+ * Sin pregunta abierta (cotización, revisión manual) queda en null.
+ */
+export async function setConversationState(conversationId, state, { askedField = null } = {}) {
   return prisma.conversation.update({
     where: { id: conversationId },
-    data: { state }
+    data: { state, lastAskedField: askedField }
   });
 }
 
+/**
+ * Últimos mensajes de la conversación (más viejo primero), sin el que se está procesando.
+ */
+export async function listRecentMessages(conversationId, { limit = 6, excludeId = null } = {}) {
+  const rows = await prisma.message.findMany({
+    where: { conversationId, ...(excludeId ? { id: { not: excludeId } } : {}) },
+    orderBy: { createdAt: "desc" },
+    take: limit,
+    select: { direction: true, body: true, createdAt: true }
+  });
+  return rows.reverse();
+}
+
 export async function getOrCreateQualification(companyId, leadId) {
   const existing = await prisma.qualification.findUnique({ where: { leadId } });
   if (existing) return existing;
@@ -110,16 +342,32 @@ function cleanStr(v) {
   return s.length ? s : null;
 }
 
-/**
- * Patch acumulado: SOLO actualiza si hay valor real.
- * Nunca escribe '' (string vacío).
- * Nunca sobreescribe con null.
- */
-export async function patchQualificationFromExtract(leadId, extracted) {
+// Campos del extractor que pueden quedar pendientes de confirmar
+export const CONFIRMABLE_FIELDS = ["height_m", "type", "activity", "terrain", "city", "duration_days"];
+
+// La altura se guarda con su detalle (unidad y tipo), no solo en metros
+const HEIGHT_DETAIL = ["height_ft", "height_value", "height_unit", "height_kind"];
+
+function heightDetail(src) {
+  return Object.fromEntries(HEIGHT_DETAIL.map((k) => [k, src?.[k] ?? null]));
+}
+
+function fieldConfidence(extracted, key) {
+  const c = extracted?.field_confidence?.[key] ?? extracted?.confidence;
+  return Number.isFinite(c) ? c : 1;
+}
+
+function extractToData(extracted, current) {
   const data = {};
 
-  if (extracted?.height_m != null) data.heightMeters = extracted.height_m;
-  if (extracted?.height_ft != null) data.heightFeet = extracted.height_ft;
+  if (extracted?.height_m != null) {
+    // Sin detalle (ej. dato viejo): se asume altura de trabajo en metros
+    data.heightMeters = extracted.height_m;
+    data.heightFeet = extracted.height_ft ?? metersToFeet(extracted.height_m);
+    data.heightValue = extracted.height_value ?? extracted.height_m;
+    data.heightUnit = extracted.height_unit ?? "m";
+    data.heightKind = extracted.height_kind ?? null;
+  }
 
   const liftType = cleanStr(extracted?.type);
   if (liftType) data.liftType = liftType;
@@ -131,9 +379,46 @@ export async function patchQualificationFromExtract(leadId, extracted) {
   if (terrain) data.terrain = terrain;
 
   const city = cleanStr(extracted?.city);
-  if (city) data.city = city;
+  if (city) {
+    data.city = city;
+    // Ciudad nueva => la zona de transporte se vuelve a resolver
+    if (city !== current?.city) data.transportZoneId = null;
+  }
 
   if (extracted?.duration_days != null) data.durationDays = extracted.duration_days;
+  return data;
+}
+
+/**
+ * Patch acumulado: SOLO actualiza si hay valor real.
+ * Nunca escribe '' (string vacío).
+ * Nunca sobreescribe con null.
+ * Campos con confianza < threshold no se escriben: quedan en pendingFields hasta que el
+ * cliente confirme. Un valor nuevo con buena confianza reemplaza al pendiente del mismo campo.
+ */
+export async function patchQualificationFromExtract(leadId, extracted, { threshold = 0 } = {}) {
+  const current = await prisma.qualification.findUnique({ where: { leadId } });
+  const pending = { ...(current?.pendingFields || {}) };
+  const confident = {};
+  let pendingChanged = false;
+
+  for (const key of CONFIRMABLE_FIELDS) {
+    const value = extracted?.[key];
+    if (value == null || cleanStr(value) == null) continue;
+
+    const confidence = fieldConfidence(extracted, key);
+    if (confidence < threshold) {
+      pending[key] = { value, confidence, ...(key === "height_m" ? heightDetail(extracted) : {}) };
+    } else {
+      confident[key] = value;
+      if (key === "height_m") Object.assign(confident, heightDetail(extracted));
+      delete pending[key];
+    }
+    pendingChanged = true;
+  }
+
+  const data = extractToData(confident, current);
+  if (pendingChanged) data.pendingFields = Object.keys(pending).length ? pending : Prisma.DbNull;
 
   if (Object.keys(data).length === 0) return null;
 
@@ -142,3 +427,64 @@ export async function patchQualificationFromExtract(leadId, extracted) {
     data
   });
 }
+
+/**
+ * Respuesta del cliente a "¿Confirmas ...?": sí => el valor pasa a la Qualification; no => se descarta.
+ */
+export async function resolvePendingField(leadId, field, accepted) {
+  const current = await prisma.qualification.findUnique({ where: { leadId } });
+  const pending = { ...(current?.pendingFields || {}) };
+  const entry = pending[field];
+  if (!entry) return null;
+
+  delete pending[field];
+  const data = accepted ? extractToData({ [field]: entry.value, ...heightDetail(entry) }, current) : {};
+  data.pendingFields = Object.keys(pending).length ? pending : Prisma.DbNull;
+
+  return prisma.qualification.update({ where: { leadId }, data });
+}
+
+// Qualification.extra: respuestas a campos propios del flujo de la empresa + opcionales saltados
+export const SKIPPED_EXTRA_KEY = "_skipped";
+
+export async function setQualificationExtra(leadId, patch) {
+  const current = await prisma.qualification.findUnique({ where: { leadId } });
+  const extra = { ...(current?.extra || {}), ...patch };
+  return prisma.qualification.update({ where: { leadId }, data: { extra } });
+}
+
+// Opcional que el cliente no contestó: ya no se vuelve a preguntar
+export async function markFieldSkipped(leadId, key) {
+  const current = await prisma.qualification.findUnique({ where: { leadId } });
+  const skipped = new Set(current?.extra?.[SKIPPED_EXTRA_KEY] || []);
+  skipped.add(key);
+  return setQualificationExtra(leadId, { [SKIPPED_EXTRA_KEY]: [...skipped] });
+}
+
+export async function setQualificationZone(leadId, transportZoneId) {
+  return prisma.qualification.update({
+    where: { leadId },
+    data: { transportZoneId }
+  });
+}
+
+/**
+ * Ubicación de la obra (pin de WhatsApp). Si cayó en una geocerca se guardan la zona
+ * y su ciudad (ya no se preguntan).
+ */
+export async function setQualificationSite(leadId, { lat, lng, address, name, zone }) {
+  const data = {
+    siteLat: lat,
+    siteLng: lng,
+    siteAddress: cleanStr(address),
+    siteName: cleanStr(name)
+  };
+
+  // El pin manda sobre lo que se haya escrito antes
+  if (zone) {
+    data.transportZoneId = zone.id;
+    data.city = zone.city;
+  }
+
+  return prisma.qualification.update({ where: { leadId }, data });
+}
@@ -0,0 +1,85 @@
+/**
+ * src/equipment_matcher.js (ESM)
+ * Catálogo de flota + matcher: Qualification acumulada -> modelo(s) que cumplen.
+ */
+
+import { prisma } from "./db.js";
+import { ensureDefaultRateCards, listPricedModels } from "./rate_cards.js";
+
+// Flota con la que arranca una empresa nueva (lo que hoy se cotiza).
+const DEFAULT_CATALOG = [
+  {
+    model: "45FT",
+    name: "Brazo articulado 45 ft",
+    liftType: "BRAZO",
+    workingHeightM: 15.7,
+    roughTerrain: true,
+    fuelType: "DIESEL",
+  },
+];
+
+export async function ensureDefaultCatalog(companyId) {
+  const count = await prisma.equipment.count({ where: { companyId } });
+  if (count > 0) return;
+
+  await prisma.equipment.createMany({
+    data: DEFAULT_CATALOG.map((e) => ({ ...e, companyId })),
+    skipDuplicates: true,
+  });
+}
+
+/**
+ * Matcher puro (sin BD) para poder probarlo aislado.
+ *
+ * Filtros duros:
+ * - liftType igual al pedido (si se pidió)
+ * - workingHeightM >= altura requerida
+ * - TERRACERIA exige roughTerrain
+ *
+ * Orden: el que menos le sobra de altura primero (el más chico que cumple),
+ * luego combustible acorde al terreno (piso firme => eléctrico/dual, terracería => diésel).
+ * La actividad no filtra equipo; solo afecta precio.
+ *
+ * @returns {Array<{ equipment: Object, surplusM: number }>}
+ */
+export function matchEquipment(catalog, qualification) {
+  const q = qualification || {};
+  const requiredM = Number(q.heightMeters);
+  if (!Number.isFinite(requiredM) || requiredM <= 0) return [];
+
+  const liftType = q.liftType ? String(q.liftType).toUpperCase() : null;
+  const terrain = q.terrain ? String(q.terrain).toUpperCase() : null;
+
+  const fuelScore = (e) => {
+    const fuel = String(e.fuelType || "").toUpperCase();
+    if (terrain === "PISO_FIRME") return fuel === "DIESEL" ? 1 : 0;
+    if (terrain === "TERRACERIA") return fuel === "DIESEL" ? 0 : 1;
+    return 0;
+  };
+
+  return (catalog || [])
+    .filter((e) => e.active !== false)
+    .filter((e) => !liftType || String(e.liftType).toUpperCase() === liftType)
+    .filter((e) => Number(e.workingHeightM) >= requiredM)
+    .filter((e) => terrain !== "TERRACERIA" || e.roughTerrain)
+    .map((e) => ({ equipment: e, surplusM: Number(e.workingHeightM) - requiredM }))
+    .sort((a, b) => a.surplusM - b.surplusM || fuelScore(a.equipment) - fuelScore(b.equipment));
+}
+
+/**
+ * Mejores modelos del catálogo de la empresa para la Qualification (máx. `limit`).
+ * Solo entran modelos con tarifa vigente: sin RateCard no hay cotización automática.
+ */
+export async function findMatchingEquipment(companyId, qualification, limit = 3) {
+  await ensureDefaultCatalog(companyId);
+  await ensureDefaultRateCards(companyId);
+
+  const pricedModels = await listPricedModels(companyId);
+  const catalog = await prisma.equipment.findMany({
+    where: { companyId, active: true, model: { in: pricedModels } },
+  });
+
+  return matchEquipment(catalog, qualification)
+    .slice(0, limit)
+    .map((m) => m.equipment);
+}
@@ -0,0 +1,75 @@
+/**
+ * src/geo.js (ESM)
+ * Geocercas de zonas de transporte (puro, sin BD).
+ *
+ * TransportZone.geofence (Json):
+ *   { "type": "polygon", "points": [[lat, lng], ...] }
+ *   { "type": "radius", "maxKm": 25, "minKm": 0, "center": [lat, lng] }   // center opcional => patio de la empresa
+ */
+
+const EARTH_RADIUS_KM = 6371;
+
+function toRad(deg) {
+  return (deg * Math.PI) / 180;
+}
+
+export function haversineKm(a, b) {
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+}
+
+// Ray casting sobre lat/lng (suficiente para zonas de unos km)
+export function pointInPolygon(point, points) {
+  if (!Array.isArray(points) || points.length < 3) return false;
+
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const [yi, xi] = points[i];
+    const [yj, xj] = points[j];
+    const crosses = yi > point.lat !== yj > point.lat && point.lng < ((xj - xi) * (point.lat - yi)) / (yj - yi) + xi;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+}
+
+export function isValidCoord(lat, lng) {
+  return Number.isFinite(lat) && Number.isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+}
+
+/**
+ * Zona para un punto. Un polígono que lo contiene gana sobre los radios; entre radios
+ * gana el anillo más chico (el más cercano al patio). Sin geocerca que aplique => null.
+ *
+ * @param {Object[]} zones TransportZone[] (con geofence)
+ * @param {{ lat: number, lng: number }} point
+ * @param {{ lat: number, lng: number } | null} yard patio de la empresa (centro default de los radios)
+ */
+export function matchZoneByLocation(zones, point, yard = null) {
+  if (!point || !isValidCoord(point.lat, point.lng)) return null;
+
+  let best = null;
+  for (const z of zones || []) {
+    const g = z.geofence;
+    if (!g || typeof g !== "object") continue;
+
+    if (g.type === "polygon") {
+      if (pointInPolygon(point, g.points)) return z;
+      continue;
+    }
+
+    if (g.type === "radius") {
+      const center = Array.isArray(g.center) ? { lat: Number(g.center[0]), lng: Number(g.center[1]) } : yard;
+      if (!center || !isValidCoord(center.lat, center.lng)) continue;
+
+      const km = haversineKm(center, point);
+      const maxKm = Number(g.maxKm);
+      if (km >= Number(g.minKm || 0) && km <= maxKm && (!best || maxKm < best.maxKm)) {
+        best = { zone: z, maxKm };
+      }
+    }
+  }
+
+  return best?.zone || null;
+}
@@ -0,0 +1,459 @@
+/**
+ * src/i18n.js (ESM)
+ * Textos que ve el cliente (WhatsApp, PDF, email) en español o inglés.
+ *
+ * - t(lang, "llave", { vars }) reemplaza "{var}"; si falta la llave en inglés cae a español.
+ * - Idioma por lead (Lead.language), detectado de sus mensajes con detectLanguage().
+ * - Montos siempre en MXN; cambia solo el formato (es-MX / en-US).
+ */
+
+export const LANGUAGES = ["es", "en"];
+export const DEFAULT_LANGUAGE = "es";
+
+const LOCALES = { es: "es-MX", en: "en-US" };
+
+const MESSAGES = {
+  es: {
+    // Calificación
+    "q.greeting": "Hola 👋 Soy {bot} de {company}. ¿Me compartes tu nombre para apoyarte mejor?",
+    "q.ready": "Perfecto. Ya tengo lo necesario para generar tu cotización. Dame un momento.",
+    "q.height": "Gracias, {name}. ¿Qué altura necesitas alcanzar? (ej: 14m o 45ft)",
+    "q.height_retry": 'No alcancé a entender la altura 😅. Dímela así porfa: "14m" o "45ft".',
+    "q.type": "¿Necesitas brazo articulado o tijera?",
+    "q.type_retry": "No me quedó claro el tipo 😅. Elige una opción:",
+    "q.activity": "¿El trabajo es de pintura o uso general?",
+    "q.activity_retry": "No entendí la actividad 😅. Elige una opción:",
+    "q.terrain": "¿El terreno es piso firme (concreto) o terracería?",
+    "q.terrain_retry": "No entendí el terreno 😅. Elige una opción:",
+    "q.city": "¿En qué ciudad es el trabajo? (ej: Saltillo, Monterrey) También puedes compartir la ubicación de la obra 📍.",
+    "q.city_list":
+      "¿En qué ciudad es el trabajo? Elige una, escríbela si no está en la lista o comparte la ubicación de la obra 📍.",
+    "q.city_retry": "No entendí la ciudad 😅. Elige una de la lista o escríbela:",
+    "q.city_button": "Ver ciudades",
+    "q.zone": "¿En qué zona de {city} es el trabajo?",
+    "q.zone_city_fallback": "la ciudad",
+    "q.zone_retry": "No identifiqué la zona 😅. Elige una opción:",
+    "q.zone_button": "Ver zonas",
+    "q.duration": "¿Cuántos días necesitas el equipo? Elige una opción o escribe otro número.",
+    "q.duration_retry": "No entendí los días 😅. Elige una opción o pon solo un número (ej: 15).",
+    "q.email": "¿A qué correo te envío la cotización en PDF? (ej: compras@tuempresa.com)",
+    "q.email_retry": "Ese correo no se ve válido 😅. Escríbelo otra vez (ej: compras@tuempresa.com).",
+    "q.fallback": "Perfecto. ¿Me confirmas terreno, ciudad y duración?",
+    "q.choices_button": "Ver opciones",
+    "q.choices_section": "Opciones",
+    "location.label": "Ubicación",
+
+    // Valores
+    "value.type.BRAZO": "Brazo articulado",
+    "value.type.TIJERA": "Tijera",
+    "value.activity.PINTURA": "Pintura",
+    "value.activity.GENERAL": "Uso general",
+    "value.terrain.PISO_FIRME": "Piso firme",
+    "value.terrain.TERRACERIA": "Terracería",
+    "value.equipment": "equipo",
+    "days.one": "{n} día",
+    "days.other": "{n} días",
+
+    // Campos (en frase: "cambié la altura de ...")
+    "field.height_m": "la altura",
+    "field.type": "el tipo de equipo",
+    "field.activity": "la actividad",
+    "field.terrain": "el terreno",
+    "field.city": "la ciudad",
+    "field.duration_days": "los días de renta",
+
+    // Confirmación de valores dudosos
+    "confirm.height": "¿Confirmas {height} de altura?",
+    "confirm.duration": "¿Confirmas {days} de renta?",
+    "confirm.city": "¿Confirmas que la obra es en {city}?",
+    "confirm.value": "¿Confirmas {value}?",
+    "confirm.yes": "Sí",
+    "confirm.no": "No",
+
+    // Correcciones
+    "correction.note": "Listo, cambié {changes}.",
+    "correction.item": "{field} de {from} a {to}",
+    "correction.join": " y ",
+
+    // Altura
+    "height.platform": "de plataforma",
+    "height.working": "de trabajo",
+
+    // Cotización
+    "quote.no_match":
+      "{name}no tengo en catálogo un {type} de {height}{terrain} para cotizarte en automático. Un asesor revisa tu solicitud y te contacta por aquí en breve 🙌",
+    "quote.no_match_terrain": " para terracería",
+    "quote.greeting_fallback": "¡Listo!",
+    "quote.transport_zone": "Transporte redondo ({zone}): {amount} + IVA.",
+    "quote.transport_manual": "Transporte: por cotizar, un asesor te confirma el costo para tu ubicación.",
+    "quote.total": "Total (tu solicitud {days}, con IVA): {amount}.",
+    "quote.total_base": "Ya generé la cotización base para {days}.",
+    "quote.paint":
+      "Incluye recargo por pintura ({pct}%): {surcharge} + IVA.\nDepósito en garantía (reembolsable, sin IVA): {deposit}.",
+    "quote.sent": "{name}. ✅ Te envío tu cotización *{number}* en PDF.",
+    "quote.revised": "{name}. ✅ Actualicé tu cotización: *{number}* (reemplaza a {previous}).",
+    "quote.changes": "Cambios:",
+    "quote.already": "Tu cotización{number} ya está lista 🙌. Si necesitas cambiar algo (días, ciudad, altura...), dímelo y te mando una revisión.",
+
+    // Agente
+    "handoff.customer": "{name}claro 🙌 Te comunico con un asesor. En breve te contesta por aquí.",
+
+    // Seguimientos (scheduler)
+    "followup.quote_reminder":
+      "Hola{name} 👋 Tu cotización *{number}* vence en {hours} h. ¿Te apartamos el equipo? Respóndeme por aquí y lo confirmamos.",
+    "followup.nudge": "Hola{name} 👋 ¿Seguimos con tu cotización? Contesta mi última pregunta y en cuanto tenga los datos te la mando.",
+
+    // Revisiones (etiquetas de cambios)
+    "rev.heightMeters": "Altura",
+    "rev.liftType": "Tipo",
+    "rev.activity": "Actividad",
+    "rev.terrain": "Terreno",
+    "rev.city": "Ciudad",
+    "rev.durationDays": "Duración",
+    "rev.transportZoneId": "Zona",
+    "rev.to_be_quoted": "Por cotizar",
+
+    // Condiciones (PDF)
+    "terms.requested": "Importe principal corresponde exactamente a la duración solicitada.",
+    "terms.vat": "Precios sin IVA. IVA 16% por separado.",
+    "terms.transport": "Transporte redondo según zona (si aplica).",
+    "terms.validity": "Vigencia: 48 horas.",
+    "terms.transport_manual": "Transporte por cotizar: la ubicación no está en nuestras zonas; un asesor confirma el costo.",
+    "terms.revision": "Esta revisión reemplaza a la cotización {previous}, que queda sin efecto.",
+    "terms.optimized":
+      "Optimización de tarifa: por estructura escalonada, al extender a {days} días el total baja aprox. {savings} ({pct}%). Si te interesa, lo ajustamos.",
+    "terms.paint":
+      "Trabajo de pintura: recargo de {pct}% sobre la renta y depósito en garantía de {deposit} (reembolsable al devolver el equipo sin daños, no causa IVA).",
+
+    // Partidas de la cotización (QuoteItem.description)
+    "item.requested": "Renta solicitada ({days})",
+    "item.ref_day": "Referencia: 1 día",
+    "item.ref_week": "Referencia: Semana (7 días)",
+    "item.ref_month": "Referencia: Mes (30 días)",
+    "item.ref_other": "Referencia ({days})",
+    "item.paint_deposit": "Depósito en garantía por pintura (reembolsable, sin IVA)",
+
+    // PDF
+    "pdf.subtitle": "Cotización automática generada por VEXIQO",
+    "pdf.folio": "Folio",
+    "pdf.date": "Fecha",
+    "pdf.zone": "Zona: {zone}",
+    "pdf.revision": "Revisión R{revision} · reemplaza a {previous}",
+    "pdf.changes": "Cambios: {changes}",
+    "pdf.customer": "Cliente",
+    "pdf.requirement": "Requerimiento",
+    "pdf.name": "Nombre:",
+    "pdf.whatsapp": "WhatsApp:",
+    "pdf.equipment": "Equipo:",
+    "pdf.height": "Altura:",
+    "pdf.city": "Ciudad:",
+    "pdf.terrain": "Terreno:",
+    "pdf.activity": "Actividad:",
+    "pdf.duration": "Duración:",
+    "pdf.site": "Obra:",
+    "pdf.options": "Opciones de cotización",
+    "pdf.col_option": "Opción",
+    "pdf.col_per_day": "Precio / día",
+    "pdf.col_rental": "Equipo (sin IVA)",
+    "pdf.col_paint": "Pintura +{pct}%",
+    "pdf.col_transport": "Transporte",
+    "pdf.col_vat": "IVA 16%",
+    "pdf.col_total": "Total",
+    "pdf.requested": "Solicitado ({days})",
+    "pdf.to_be_quoted": "Por cotizar",
+    "pdf.best_per_day": "Mejor costo / día",
+    "pdf.paint_deposit": "Depósito en garantía por pintura (reembolsable, sin IVA)",
+    "pdf.summary": "Resumen (opción solicitada)",
+    "pdf.summary_equipment": "Equipo: {equipment}",
+    "pdf.summary_duration": "Duración: {days}",
+    "pdf.sum_rental": "Equipo (sin IVA)",
+    "pdf.sum_paint": "Recargo pintura {pct}%",
+    "pdf.sum_transport": "Transporte",
+    "pdf.sum_vat": "IVA 16%",
+    "pdf.deposit_note": "+ Depósito reembolsable (sin IVA): {deposit}",
+    "pdf.terms": "Condiciones",
+    "pdf.filename": "Cotizacion_{number}.pdf",
+
+    // Email
+    "email.subject": "Cotización {number} - {brand}",
+    "email.header": "Cotización {number}",
+    "email.hello": "Hola{name},",
+    "email.intro": "Te compartimos tu cotización en PDF (adjunta). Este es el resumen:",
+    "email.intro_text": "Te compartimos tu cotización {number} en PDF (adjunta).",
+    "email.equipment": "Equipo",
+    "email.duration": "Duración",
+    "email.transport": "Transporte",
+    "email.to_be_quoted": "Por cotizar",
+    "email.total": "Total (con IVA)",
+    "email.paint_deposit": "Depósito pintura (reembolsable)",
+    "email.footer": "Precios en MXN. Vigencia: 48 horas. Responde a este correo o por WhatsApp para confirmar."
+  },
+
+  en: {
+    "q.greeting": "Hi 👋 I'm {bot} from {company}. May I have your name so I can help you better?",
+    "q.ready": "Great. I have everything I need to prepare your quote. One moment.",
+    "q.height": "Thanks, {name}. What height do you need to reach? (e.g. 14m or 45ft)",
+    "q.height_retry": 'I couldn\'t catch the height 😅. Please send it like this: "14m" or "45ft".',
+    "q.type": "Do you need a boom lift or a scissor lift?",
+    "q.type_retry": "I didn't get the lift type 😅. Pick one:",
+    "q.activity": "Is the job painting or general use?",
+    "q.activity_retry": "I didn't get the activity 😅. Pick one:",
+    "q.terrain": "Is the ground firm (concrete) or dirt / gravel?",
+    "q.terrain_retry": "I didn't get the ground type 😅. Pick one:",
+    "q.city": "Which city is the job in? (e.g. Saltillo, Monterrey) You can also share the job site location 📍.",
+    "q.city_list": "Which city is the job in? Pick one, type it if it's not listed, or share the job site location 📍.",
+    "q.city_retry": "I didn't get the city 😅. Pick one from the list or type it:",
+    "q.city_button": "See cities",
+    "q.zone": "Which area of {city} is the job in?",
+    "q.zone_city_fallback": "the city",
+    "q.zone_retry": "I couldn't identify the area 😅. Pick one:",
+    "q.zone_button": "See areas",
+    "q.duration": "How many days do you need the equipment? Pick an option or type another number.",
+    "q.duration_retry": "I didn't get the number of days 😅. Pick an option or just send a number (e.g. 15).",
+    "q.email": "Which email should I send the PDF quote to? (e.g. purchasing@yourcompany.com)",
+    "q.email_retry": "That email doesn't look right 😅. Please type it again (e.g. purchasing@yourcompany.com).",
+    "q.fallback": "Great. Could you confirm the ground type, city and rental days?",
+    "q.choices_button": "See options",
+    "q.choices_section": "Options",
+    "location.label": "Location",
+
+    "value.type.BRAZO": "Boom lift",
+    "value.type.TIJERA": "Scissor lift",
+    "value.activity.PINTURA": "Painting",
+    "value.activity.GENERAL": "General use",
+    "value.terrain.PISO_FIRME": "Firm ground",
+    "value.terrain.TERRACERIA": "Dirt / gravel",
+    "value.equipment": "lift",
+    "days.one": "{n} day",
+    "days.other": "{n} days",
+
+    "field.height_m": "the height",
+    "field.type": "the lift type",
+    "field.activity": "the activity",
+    "field.terrain": "the ground type",
+    "field.city": "the city",
+    "field.duration_days": "the rental days",
+
+    "confirm.height": "Just to confirm: {height} of height?",
+    "confirm.duration": "Just to confirm: {days} of rental?",
+    "confirm.city": "Just to confirm: the job site is in {city}?",
+    "confirm.value": "Just to confirm: {value}?",
+    "confirm.yes": "Yes",
+    "confirm.no": "No",
+
+    "correction.note": "Done, I changed {changes}.",
+    "correction.item": "{field} from {from} to {to}",
+    "correction.join": " and ",
+
+    "height.platform": "platform",
+    "height.working": "working",
+
+    "quote.no_match":
+      "{name}we don't have a {type} for {height}{terrain} in our catalog to quote automatically. An advisor will review your request and contact you here shortly 🙌",
+    "quote.no_match_terrain": " on dirt / gravel",
+    "quote.greeting_fallback": "All set!",
+    "quote.transport_zone": "Round-trip delivery ({zone}): {amount} + VAT.",
+    "quote.transport_manual": "Delivery: to be quoted, an advisor will confirm the cost for your location.",
+    "quote.total": "Total (your request, {days}, VAT included): {amount}.",
+    "quote.total_base": "I prepared the base quote for {days}.",
+    "quote.paint":
+      "Includes painting surcharge ({pct}%): {surcharge} + VAT.\nSecurity deposit (refundable, no VAT): {deposit}.",
+    "quote.sent": "{name}. ✅ Here is your quote *{number}* as a PDF.",
+    "quote.revised": "{name}. ✅ I updated your quote: *{number}* (replaces {previous}).",
+    "quote.changes": "Changes:",
+    "quote.already":
+      "Your quote{number} is ready 🙌. If you need to change anything (days, city, height...), just tell me and I'll send you a revision.",
+
+    "handoff.customer": "{name}sure 🙌 I'm connecting you with an advisor. They'll reply here shortly.",
+
+    "followup.quote_reminder":
+      "Hi{name} 👋 Your quote *{number}* expires in {hours} h. Shall we reserve the equipment? Reply here and we'll confirm it.",
+    "followup.nudge": "Hi{name} 👋 Shall we continue with your quote? Answer my last question and I'll send it as soon as I have the details.",
+
+    "rev.heightMeters": "Height",
+    "rev.liftType": "Type",
+    "rev.activity": "Activity",
+    "rev.terrain": "Ground",
+    "rev.city": "City",
+    "rev.durationDays": "Duration",
+    "rev.transportZoneId": "Area",
+    "rev.to_be_quoted": "To be quoted",
+
+    "terms.requested": "The main amount matches exactly the requested rental period.",
+    "terms.vat": "Prices exclude VAT. 16% VAT charged separately.",
+    "terms.transport": "Round-trip delivery according to area (if applicable).",
+    "terms.validity": "Valid for 48 hours.",
+    "terms.transport_manual": "Delivery to be quoted: the location is outside our areas; an advisor will confirm the cost.",
+    "terms.revision": "This revision replaces quote {previous}, which is no longer valid.",
+    "terms.optimized":
+      "Rate tip: with our tiered pricing, extending to {days} days lowers the total by approx. {savings} ({pct}%). Let us know if you'd like to adjust it.",
+    "terms.paint":
+      "Painting job: {pct}% surcharge on the rental and a {deposit} security deposit (refunded when the equipment is returned undamaged, no VAT).",
+
+    "item.requested": "Requested rental ({days})",
+    "item.ref_day": "Reference: 1 day",
+    "item.ref_week": "Reference: Week (7 days)",
+    "item.ref_month": "Reference: Month (30 days)",
+    "item.ref_other": "Reference ({days})",
+    "item.paint_deposit": "Paint security deposit (refundable, no VAT)",
+
+    "pdf.subtitle": "Automated quote generated by VEXIQO",
+    "pdf.folio": "Quote #",
+    "pdf.date": "Date",
+    "pdf.zone": "Area: {zone}",
+    "pdf.revision": "Revision R{revision} · replaces {previous}",
+    "pdf.changes": "Changes: {changes}",
+    "pdf.customer": "Customer",
+    "pdf.requirement": "Requirement",
+    "pdf.name": "Name:",
+    "pdf.whatsapp": "WhatsApp:",
+    "pdf.equipment": "Lift:",
+    "pdf.height": "Height:",
+    "pdf.city": "City:",
+    "pdf.terrain": "Ground:",
+    "pdf.activity": "Activity:",
+    "pdf.duration": "Duration:",
+    "pdf.site": "Site:",
+    "pdf.options": "Quote options",
+    "pdf.col_option": "Option",
+    "pdf.col_per_day": "Price / day",
+    "pdf.col_rental": "Rental (excl. VAT)",
+    "pdf.col_paint": "Paint +{pct}%",
+    "pdf.col_transport": "Delivery",
+    "pdf.col_vat": "VAT 16%",
+    "pdf.col_total": "Total",
+    "pdf.requested": "Requested ({days})",
+    "pdf.to_be_quoted": "To be quoted",
+    "pdf.best_per_day": "Best cost / day",
+    "pdf.paint_deposit": "Painting security deposit (refundable, no VAT)",
+    "pdf.summary": "Summary (requested option)",
+    "pdf.summary_equipment": "Lift: {equipment}",
+    "pdf.summary_duration": "Duration: {days}",
+    "pdf.sum_rental": "Rental (excl. VAT)",
+    "pdf.sum_paint": "Painting surcharge {pct}%",
+    "pdf.sum_transport": "Delivery",
+    "pdf.sum_vat": "VAT 16%",
+    "pdf.deposit_note": "+ Refundable deposit (no VAT): {deposit}",
+    "pdf.terms": "Terms",
+    "pdf.filename": "Quote_{number}.pdf",
+
+    "email.subject": "Quote {number} - {brand}",
+    "email.header": "Quote {number}",
+    "email.hello": "Hi{name},",
+    "email.intro": "Please find your quote attached as a PDF. Here is the summary:",
+    "email.intro_text": "Please find your quote {number} attached as a PDF.",
+    "email.equipment": "Lift",
+    "email.duration": "Duration",
+    "email.transport": "Delivery",
+    "email.to_be_quoted": "To be quoted",
+    "email.total": "Total (VAT included)",
+    "email.paint_deposit": "Painting deposit (refundable)",
+    "email.footer": "Prices in MXN. Valid for 48 hours. Reply to this email or on WhatsApp to confirm."
+  }
+};
+
+export function normalizeLanguage(lang) {
+  const l = String(lang || "").toLowerCase().slice(0, 2);
+  return LANGUAGES.includes(l) ? l : DEFAULT_LANGUAGE;
+}
+
+function interpolate(msg, vars) {
+  return String(msg).replace(/\{(\w+)\}/g, (m, k) => (vars[k] != null ? String(vars[k]) : m));
+}
+
+export function t(lang, key, vars = {}) {
+  const l = normalizeLanguage(lang);
+  const msg = MESSAGES[l][key] ?? MESSAGES[DEFAULT_LANGUAGE][key];
+  if (msg == null) return key;
+  return interpolate(msg, vars);
+}
+
+/**
+ * Texto configurable (ej. flowDefinition de la empresa): llave del catálogo ("q.height"),
+ * texto literal o { es, en }.
+ */
+export function localize(lang, value, vars = {}) {
+  if (value == null) return "";
+  if (typeof value === "object") {
+    const l = normalizeLanguage(lang);
+    return interpolate(value[l] ?? value[DEFAULT_LANGUAGE] ?? Object.values(value)[0] ?? "", vars);
+  }
+  const key = String(value);
+  const msg = t(lang, key, vars);
+  return msg === key ? interpolate(key, vars) : msg;
+}
+
+// Etiqueta de un valor de Qualification ("BRAZO" => "Brazo articulado" / "Boom lift")
+export function valueLabel(lang, field, value) {
+  const key = `value.${field}.${value}`;
+  const label = t(lang, key);
+  return label === key ? String(value) : label;
+}
+
+export function fmtDays(lang, n) {
+  return t(lang, Number(n) === 1 ? "days.one" : "days.other", { n });
+}
+
+export function fmtMoney(lang, n) {
+  const v = Math.round(Number(n || 0));
+  return v.toLocaleString(LOCALES[normalizeLanguage(lang)], {
+    style: "currency",
+    currency: "MXN",
+    maximumFractionDigits: 0
+  });
+}
+
+// Sin símbolo (columnas del PDF ya llevan "$")
+export function fmtNumber(lang, n) {
+  const v = Math.round(Number(n || 0));
+  return v.toLocaleString(LOCALES[normalizeLanguage(lang)], { maximumFractionDigits: 0 });
+}
+
+export function fmtDate(lang, iso) {
+  const d = iso ? new Date(iso) : new Date();
+  if (Number.isNaN(d.getTime())) return "";
+  return d.toLocaleDateString(LOCALES[normalizeLanguage(lang)], { year: "numeric", month: "short", day: "2-digit" });
+}
+
+// --- Detección de idioma (heurística por palabras; el LLM no hace falta para esto) ---
+
+const EN_WORDS = new Set(
+  "the i we need needs want would like looking for rent rental lift lifts boom scissor how much please thanks thank you my our is are with what when where days day week weeks month feet ft job site quote price painting concrete dirt gravel can could do does have has yes yeah yep sure it this that an and of to in".split(
+    " "
+  )
+);
+const ES_WORDS = new Set(
+  "el la los las de del que necesito necesitamos quiero ocupo renta rentar plataforma brazo tijera cuanto cuesta por favor gracias mi nuestra es son con para dias dia semana semanas mes metros pies obra cotizacion precio pintura terreno piso si claro una un en y o se me te buenas buenos tardes noches".split(
+    " "
+  )
+);
+const EN_GREETINGS = /^(hi|hello|hey|good (morning|afternoon|evening))\b/;
+const ES_GREETINGS = /^(hola|buen(a|o)s? (dia|dias|tarde|tardes|noche|noches)|que tal)\b/;
+
+/**
+ * "es" | "en" | null (no hay señal suficiente: "14m", "ok", un nombre...)
+ */
+export function detectLanguage(text) {
+  const n = String(text || "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9ñ\s]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+  if (!n) return null;
+
+  if (EN_GREETINGS.test(n)) return "en";
+  if (ES_GREETINGS.test(n)) return "es";
+
+  let en = 0;
+  let es = 0;
+  for (const w of n.split(" ")) {
+    if (EN_WORDS.has(w)) en++;
+    if (ES_WORDS.has(w)) es++;
+  }
+
+  if (en >= 2 && en > es * 1.5) return "en";
+  if (es >= 2 && es > en * 1.5) return "es";
+  return null;
+}
@@ -0,0 +1,220 @@
+/**
+ * src/inbound_queue.js (ESM)
+ * Cola persistente de inbound (tabla InboundJob; el job se crea junto con el Message
+ * en crm.saveInboundMessage).
+ *
+ * - En orden estricto dentro de una conversación: mientras un worker tiene el lock
+ *   de la conversación (Conversation.processingLockedUntil) nadie más la procesa.
+ * - En paralelo entre conversaciones (INBOUND_CONCURRENCY, default 4).
+ * - Sobrevive reinicios: todo vive en BD; un job que quedó RUNNING más de LOCK_TTL
+ *   (proceso muerto a medio flujo) se vuelve a correr. Un poll periódico recoge lo
+ *   pendiente (también lo que encoló otra instancia).
+ * - Sin respuestas dobles: en cuanto el job encola un OUTBOUND (outbound.js llama a
+ *   markJobOutbound) queda marcado y ya no se reintenta; si falla después queda FAILED
+ *   para que un operador lo revise, en vez de correr otra vez el flujo desde el inicio.
+ */
+
+import os from "node:os";
+import { AsyncLocalStorage } from "node:async_hooks";
+import { prisma } from "./db.js";
+
+const CONCURRENCY = Math.max(Number(process.env.INBOUND_CONCURRENCY || 4), 1);
+const MAX_ATTEMPTS = Math.max(Number(process.env.INBOUND_MAX_ATTEMPTS || 3), 1);
+const LOCK_TTL_MS = 5 * 60 * 1000;
+const POLL_MS = 5000;
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+let handler = null;
+let pollTimer = null;
+let kicking = false;
+let rekick = false; // llegó un kick mientras otro estaba buscando trabajo
+const active = new Set(); // conversationIds que este proceso está drenando
+const currentJob = new AsyncLocalStorage(); // { id, outbound } del job que corre en este contexto
+
+function backoffMs(attempts) {
+  return Math.min(60_000, 2000 * 2 ** (attempts - 1));
+}
+
+async function claimConversation(conversationId) {
+  const now = new Date();
+  const res = await prisma.conversation.updateMany({
+    where: {
+      id: conversationId,
+      OR: [{ processingLockedUntil: null }, { processingLockedUntil: { lt: now } }]
+    },
+    data: {
+      processingLockedUntil: new Date(now.getTime() + LOCK_TTL_MS),
+      processingLockedBy: WORKER_ID
+    }
+  });
+  return res.count === 1;
+}
+
+async function extendLock(conversationId) {
+  await prisma.conversation.updateMany({
+    where: { id: conversationId, processingLockedBy: WORKER_ID },
+    data: { processingLockedUntil: new Date(Date.now() + LOCK_TTL_MS) }
+  });
+}
+
+async function releaseConversation(conversationId) {
+  await prisma.conversation.updateMany({
+    where: { id: conversationId, processingLockedBy: WORKER_ID },
+    data: { processingLockedUntil: null, processingLockedBy: null }
+  });
+}
+
+/**
+ * Marca el job en curso como "ya respondió" (lo llama outbound.js antes de encolar).
+ * Fuera de un job (agente, scheduler, admin) no hace nada.
+ */
+export async function markJobOutbound() {
+  const run = currentJob.getStore();
+  if (!run || run.outbound) return;
+  run.outbound = true;
+  await prisma.inboundJob.update({ where: { id: run.id }, data: { outboundAt: new Date() } });
+}
+
+async function runJob(job) {
+  // RUNNING colgado que ya había respondido (el proceso murió a medio flujo): no se repite
+  if (job.outboundAt) {
+    console.log("Inbound job interrupted after replying, not retried:", job.id);
+    await prisma.inboundJob.update({
+      where: { id: job.id },
+      data: { status: "FAILED", lastError: "interrupted after enqueuing a reply", finishedAt: new Date() }
+    });
+    return;
+  }
+
+  await prisma.inboundJob.update({
+    where: { id: job.id },
+    data: { status: "RUNNING", attempts: { increment: 1 }, startedAt: new Date() }
+  });
+
+  const run = { id: job.id, outbound: false };
+  try {
+    await currentJob.run(run, () => handler(job));
+    await prisma.inboundJob.update({
+      where: { id: job.id },
+      data: { status: "DONE", finishedAt: new Date(), lastError: null }
+    });
+  } catch (e) {
+    const attempts = job.attempts + 1;
+    const dead = attempts >= MAX_ATTEMPTS || run.outbound;
+    console.log(
+      "Inbound job error:",
+      job.id,
+      `attempt ${attempts}/${MAX_ATTEMPTS}`,
+      run.outbound ? "(already replied, not retried)" : "",
+      e
+    );
+
+    await prisma.inboundJob.update({
+      where: { id: job.id },
+      data: {
+        status: dead ? "FAILED" : "PENDING",
+        lastError: String(e?.stack || e?.message || e).slice(0, 2000),
+        runAfter: dead ? undefined : new Date(Date.now() + backoffMs(attempts)),
+        finishedAt: dead ? new Date() : null
+      }
+    });
+  }
+}
+
+/**
+ * Procesa los jobs de una conversación uno por uno, del más viejo al más nuevo.
+ * Si el siguiente está esperando reintento, la conversación espera (no se salta el orden).
+ */
+async function drainConversation(conversationId) {
+  try {
+    for (;;) {
+      const job = await prisma.inboundJob.findFirst({
+        where: { conversationId, status: { in: ["PENDING", "RUNNING"] } },
+        orderBy: [{ createdAt: "asc" }, { id: "asc" }],
+        include: { message: true }
+      });
+      if (!job || job.runAfter > new Date()) return;
+
+      await runJob(job);
+      await extendLock(conversationId);
+    }
+  } finally {
+    await releaseConversation(conversationId).catch((e) => console.log("Inbound lock release error:", e));
+  }
+}
+
+/**
+ * Busca conversaciones con trabajo pendiente y arranca un drenado por cada una
+ * (hasta CONCURRENCY a la vez). Se puede llamar las veces que sea.
+ */
+export async function kickInboundWorker() {
+  if (!handler) return;
+  if (kicking) {
+    rekick = true;
+    return;
+  }
+  kicking = true;
+
+  try {
+    while (active.size < CONCURRENCY) {
+      const pending = await prisma.inboundJob.findMany({
+        where: {
+          OR: [
+            { status: "PENDING", runAfter: { lte: new Date() } },
+            { status: "RUNNING", startedAt: { lt: new Date(Date.now() - LOCK_TTL_MS) } }
+          ],
+          ...(active.size ? { conversationId: { notIn: [...active] } } : {})
+        },
+        orderBy: { createdAt: "asc" },
+        distinct: ["conversationId"],
+        select: { conversationId: true },
+        take: CONCURRENCY
+      });
+      if (!pending.length) break;
+
+      let started = 0;
+      for (const { conversationId } of pending) {
+        if (active.size >= CONCURRENCY) break;
+        if (!(await claimConversation(conversationId))) continue; // la tiene otro worker
+
+        active.add(conversationId);
+        started++;
+        drainConversation(conversationId)
+          .catch((e) => console.log("Inbound drain error:", conversationId, e))
+          .finally(() => {
+            active.delete(conversationId);
+            kickInboundWorker();
+          });
+      }
+      if (!started) break;
+    }
+  } catch (e) {
+    console.log("Inbound worker error:", e);
+  } finally {
+    kicking = false;
+  }
+
+  if (rekick) {
+    rekick = false;
+    await kickInboundWorker();
+  }
+}
+
+/**
+ * Arranca el worker. `jobHandler(job)` procesa un InboundJob; si lanza, se reintenta
+ * con backoff hasta INBOUND_MAX_ATTEMPTS y luego queda FAILED (de una vez si ya había
+ * encolado alguna respuesta).
+ */
+export async function startInboundWorker(jobHandler) {
+  handler = jobHandler;
+
+  const pending = await prisma.inboundJob.count({ where: { status: { in: ["PENDING", "RUNNING"] } } });
+  if (pending) console.log("Inbound jobs pending at startup:", pending);
+
+  if (!pollTimer) {
+    pollTimer = setInterval(() => kickInboundWorker(), POLL_MS);
+    pollTimer.unref();
+  }
+  await kickInboundWorker();
+}
@@ -0,0 +1,58 @@
+/**
+ * src/json_schema.js (ESM)
+ * Validador mínimo de JSON Schema para las salidas del LLM. Cubre lo que usamos:
+ * type (o lista de types), enum, properties, required, additionalProperties: false, items.
+ * Así cualquier proveedor (OpenAI, servidor local, stub) se revisa igual.
+ */
+
+function typeOf(v) {
+  if (v === null) return "null";
+  if (Array.isArray(v)) return "array";
+  if (typeof v === "number") return Number.isInteger(v) ? "integer" : "number";
+  return typeof v;
+}
+
+function typeMatches(v, expected) {
+  const t = typeOf(v);
+  return t === expected || (expected === "number" && t === "integer");
+}
+
+function check(value, schema, path, errors) {
+  if (!schema || typeof schema !== "object") return;
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((t) => typeMatches(value, t))) {
+      errors.push(`${path}: expected ${types.join("|")}, got ${typeOf(value)}`);
+      return;
+    }
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+    errors.push(`${path}: ${JSON.stringify(value)} not in enum`);
+  }
+
+  if (typeOf(value) === "object") {
+    const props = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}.${key}: required`);
+    }
+    for (const [key, v] of Object.entries(value)) {
+      if (props[key]) check(v, props[key], `${path}.${key}`, errors);
+      else if (schema.additionalProperties === false) errors.push(`${path}.${key}: not allowed`);
+    }
+  }
+
+  if (typeOf(value) === "array" && schema.items) {
+    value.forEach((v, i) => check(v, schema.items, `${path}[${i}]`, errors));
+  }
+}
+
+/**
+ * @returns {{ ok: boolean, errors: string[] }}
+ */
+export function validateJsonSchema(value, schema) {
+  const errors = [];
+  check(value, schema, "$", errors);
+  return { ok: errors.length === 0, errors };
+}
@@ -0,0 +1,104 @@
+/**
+ * src/lead_extraction.js (ESM)
+ * Extracción de datos del lead: primero reglas (gratis, determinístico) y LLM solo si hace falta.
+ *
+ * - Respuesta corta que contesta justo lo que preguntamos ("14m", "tijera", "2 semanas") => solo reglas.
+ * - Lo demás va al LLM; lo que el LLM deja en null se completa con las reglas.
+ * - Sin OPENAI_API_KEY o si OpenAI falla => reglas (el flujo no se queda preguntando lo mismo).
+ * - El LLM recibe la pregunta abierta, lo acumulado y los últimos mensajes; `corrections` marca
+ *   los campos donde el cliente cambió un dato que ya teníamos ("perdón, eran 16 metros").
+ */
+
+import { extractLeadFields } from "./ai_extractor.js";
+import { extractLeadFieldsByRules } from "./rule_extractor.js";
+
+const FIELDS = ["name", "email", "height_m", "type", "activity", "terrain", "city", "duration_days"];
+const SHORT_ANSWER_WORDS = 4;
+const HEIGHT_DETAIL = ["height_ft", "height_value", "height_unit", "height_kind"];
+const CORRECTABLE_FIELDS = ["height_m", "type", "activity", "terrain", "city", "duration_days"];
+
+/**
+ * Qualification => shape del extractor (lo que ya sabemos)
+ */
+export function knownFromQualification(q) {
+  if (!q) return {};
+  return {
+    height_m: q.heightMeters ?? null,
+    type: q.liftType ?? null,
+    activity: q.activity ?? null,
+    terrain: q.terrain ?? null,
+    city: q.city ?? null,
+    duration_days: q.durationDays ?? null
+  };
+}
+
+function sameValue(field, a, b) {
+  if (field === "height_m") return Math.abs(Number(a) - Number(b)) < 0.05;
+  if (field === "city") return String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+  return a === b;
+}
+
+// Campos que ya tenían valor y el mensaje trae otro distinto
+function detectCorrections(out, current) {
+  const corrections = [];
+  for (const field of CORRECTABLE_FIELDS) {
+    const from = current?.[field];
+    const to = out[field];
+    if (from == null || to == null || sameValue(field, from, to)) continue;
+    corrections.push({ field, from, to });
+  }
+  return corrections;
+}
+
+function answersExpected(rules, expectField) {
+  if (!expectField) return false;
+  const key = expectField === "transport_zone" ? null : expectField;
+  return key ? rules[key] != null : false;
+}
+
+function mergeExtract(llm, rules) {
+  const out = { ...rules };
+  for (const k of FIELDS) out[k] = llm?.[k] ?? rules[k];
+
+  // Confianza por campo de quien dio el valor
+  out.field_confidence = {};
+  for (const k of FIELDS) {
+    if (out[k] == null) continue;
+    const fromLlm = llm?.[k] != null;
+    out.field_confidence[k] = (fromLlm ? llm.field_confidence?.[k] : rules.field_confidence?.[k]) ?? null;
+  }
+
+  // La altura va completa (pies, valor, unidad, tipo) de la misma fuente que dio height_m
+  const heightSrc = llm?.height_m != null ? llm : rules;
+  for (const k of HEIGHT_DETAIL) out[k] = heightSrc[k] ?? null;
+  out.confidence = Number.isFinite(llm?.confidence) ? llm.confidence : rules.confidence;
+  out.missing = FIELDS.filter((k) => out[k] == null);
+  return out;
+}
+
+/**
+ * @param {{ text: string, known?: Object, zones?: Object[], expectField?: string|null, current?: Object|null, history?: Object[] }} input
+ *   current: knownFromQualification(q); history: listRecentMessages()
+ * @returns {Promise<Object>} shape de extractLeadFields + source: "rules" | "llm" | "rules_fallback" + corrections
+ */
+export async function extractLead({ text, known = {}, zones = [], expectField = null, current = null, history = [] }) {
+  const result = await extractWithFallback({ text, known, zones, expectField, current, history });
+  return { ...result, corrections: detectCorrections(result, current) };
+}
+
+async function extractWithFallback({ text, known, zones, expectField, current, history }) {
+  const rules = extractLeadFieldsByRules({ text, known, zones, expectField });
+
+  const words = String(text || "").trim().split(/\s+/).filter(Boolean).length;
+  if (answersExpected(rules, expectField) && words <= SHORT_ANSWER_WORDS) {
+    return { ...rules, source: "rules" };
+  }
+
+  try {
+    const llm = await extractLeadFields({ text, known, expectField, current, history, zones });
+    return { ...mergeExtract(llm, rules), source: "llm" };
+  } catch (e) {
+    console.log("AI extractor unavailable, using rules:", e?.message || e);
+    return { ...rules, source: "rules_fallback" };
+  }
+}
@@ -0,0 +1,117 @@
+/**
+ * src/llm_providers.js (ESM)
+ * Proveedores de LLM para extracción estructurada. Todos exponen:
+ *   provider.extractJson({ name, instructions, input, schema, context }) => objeto (JSON ya parseado, SIN validar)
+ * La validación contra el schema la hace quien llama (json_schema.js), igual para todos.
+ *
+ * Config por env:
+ *   LLM_PROVIDER     "openai" (default) | "openai_compatible" | "stub"
+ *   LLM_MODEL        default "gpt-4o-mini"
+ *   LLM_BASE_URL     endpoint (requerido para openai_compatible; ej: http://localhost:11434/v1)
+ *   LLM_API_KEY      default OPENAI_API_KEY (los servidores locales suelen ignorarla)
+ *   LLM_TIMEOUT_MS   default 15000
+ */
+
+import OpenAI from "openai";
+
+export function llmConfigFromEnv(env = process.env) {
+  return {
+    provider: String(env.LLM_PROVIDER || "openai").toLowerCase(),
+    model: env.LLM_MODEL || "gpt-4o-mini",
+    baseUrl: env.LLM_BASE_URL ? env.LLM_BASE_URL.replace(/\/+$/, "") : null,
+    apiKey: env.LLM_API_KEY || env.OPENAI_API_KEY || null,
+    timeoutMs: Number(env.LLM_TIMEOUT_MS || 15000)
+  };
+}
+
+// OpenAI Responses API con structured output (json_schema strict)
+function openAiProvider(config) {
+  if (!config.apiKey) throw new Error("openai provider: missing LLM_API_KEY / OPENAI_API_KEY");
+
+  const client = new OpenAI({
+    apiKey: config.apiKey,
+    baseURL: config.baseUrl || undefined,
+    timeout: config.timeoutMs,
+    maxRetries: 1
+  });
+
+  return {
+    name: "openai",
+    async extractJson({ name, instructions, input, schema }) {
+      const resp = await client.responses.create({
+        model: config.model,
+        instructions,
+        input: [{ role: "user", content: input }],
+        // ✅ ASÍ SE HACE EN RESPONSES API:
+        text: { format: { type: "json_schema", name, strict: true, schema } }
+      });
+      return JSON.parse(resp.output_text);
+    }
+  };
+}
+
+// Servidores locales (llama.cpp, Ollama, vLLM, LM Studio): casi todos hablan Chat Completions, no Responses
+function openAiCompatibleProvider(config) {
+  if (!config.baseUrl) throw new Error("openai_compatible provider: missing LLM_BASE_URL");
+
+  return {
+    name: "openai_compatible",
+    async extractJson({ name, instructions, input, schema }) {
+      const resp = await fetch(`${config.baseUrl}/chat/completions`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {})
+        },
+        body: JSON.stringify({
+          model: config.model,
+          temperature: 0,
+          messages: [
+            { role: "system", content: instructions },
+            { role: "user", content: input }
+          ],
+          response_format: { type: "json_schema", json_schema: { name, strict: true, schema } }
+        }),
+        signal: AbortSignal.timeout(config.timeoutMs)
+      });
+
+      if (!resp.ok) {
+        const body = await resp.text().catch(() => "");
+        throw new Error(`openai_compatible provider: HTTP ${resp.status} ${body.slice(0, 300)}`);
+      }
+
+      const data = await resp.json();
+      const content = data?.choices?.[0]?.message?.content;
+      if (!content) throw new Error("openai_compatible provider: empty completion");
+
+      // Algunos modelos envuelven el JSON en ```json ... ```
+      return JSON.parse(String(content).replace(/^\s*```(?:json)?\s*|\s*```\s*$/g, ""));
+    }
+  };
+}
+
+// Determinístico, sin red: para pruebas y desarrollo offline. `respond(context)` arma la respuesta.
+function stubProvider(config) {
+  return {
+    name: "stub",
+    async extractJson({ context }) {
+      if (typeof config.respond !== "function") throw new Error("stub provider: missing respond()");
+      return config.respond(context);
+    }
+  };
+}
+
+const PROVIDERS = {
+  openai: openAiProvider,
+  openai_compatible: openAiCompatibleProvider,
+  stub: stubProvider
+};
+
+/**
+ * @param {Object} config llmConfigFromEnv() + (stub) respond
+ */
+export function createLlmProvider(config) {
+  const factory = PROVIDERS[config?.provider];
+  if (!factory) throw new Error(`createLlmProvider: unknown provider "${config?.provider}"`);
+  return factory(config);
+}
@@ -0,0 +1,60 @@
+/**
+ * src/mailer.js (ESM)
+ * Transporte SMTP (nodemailer) configurado por env.
+ *
+ * SMTP_HOST, SMTP_PORT (587), SMTP_SECURE ("true" para 465), SMTP_USER, SMTP_PASS, SMTP_FROM
+ * Local: cualquier SMTP de prueba (Mailpit / MailHog) => SMTP_HOST=localhost SMTP_PORT=1025, sin usuario.
+ */
+
+import nodemailer from "nodemailer";
+
+const SMTP_HOST = process.env.SMTP_HOST;
+const SMTP_PORT = Number(process.env.SMTP_PORT || 587);
+const SMTP_SECURE = process.env.SMTP_SECURE === "true";
+const SMTP_USER = process.env.SMTP_USER;
+const SMTP_PASS = process.env.SMTP_PASS;
+const SMTP_FROM = process.env.SMTP_FROM || "VEXIQO <no-reply@vexiqo.local>";
+
+let transporter = null;
+
+export function isMailerConfigured() {
+  return !!SMTP_HOST;
+}
+
+function getTransporter() {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: SMTP_HOST,
+      port: SMTP_PORT,
+      secure: SMTP_SECURE,
+      auth: SMTP_USER ? { user: SMTP_USER, pass: SMTP_PASS } : undefined,
+      connectionTimeout: 10_000,
+      socketTimeout: 20_000,
+    });
+  }
+  return transporter;
+}
+
+/**
+ * @returns {Promise<{ ok: boolean, messageId?: string, error?: string }>}
+ */
+export async function sendMail({ from, to, replyTo, subject, text, html, attachments }) {
+  if (!isMailerConfigured()) {
+    return { ok: false, error: "smtp_not_configured" };
+  }
+
+  try {
+    const info = await getTransporter().sendMail({
+      from: from || SMTP_FROM,
+      to,
+      replyTo: replyTo || undefined,
+      subject,
+      text,
+      html,
+      attachments,
+    });
+    return { ok: true, messageId: info?.messageId || null };
+  } catch (e) {
+    return { ok: false, error: String(e?.message || e).slice(0, 500) };
+  }
+}
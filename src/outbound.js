@@ -0,0 +1,72 @@
+/**
+ * src/outbound.js (ESM)
+ * Envío + registro de mensajes OUTBOUND (bot o agente humano).
+ */
+
+import { saveMessage } from "./crm.js";
+import { createOutboxItem, deliverOutboxItem } from "./outbox.js";
+import { markJobOutbound } from "./inbound_queue.js";
+
+/**
+ * Guarda el OUTBOUND (queda registro aunque Graph falle), lo mete al outbox y hace
+ * el primer intento ya. Si falla con 429 / 5xx el outbox reintenta solo
+ * (result.queued = true); el wamid se pega al Message cuando por fin sale.
+ * sentBy: "bot" (default) o el nombre del agente.
+ * Dentro de un InboundJob primero lo marca como "ya respondió" (ver inbound_queue.js):
+ * un reintento del job no vuelve a mandar lo mismo.
+ */
+async function sendViaOutbox({ company, convo, to, body, rawPayload, sentBy, kind, payload, document }) {
+  await markJobOutbound();
+  const outbound = await saveMessage({
+    companyId: company.id,
+    conversationId: convo.id,
+    direction: "OUTBOUND",
+    body,
+    waMessageId: null,
+    rawPayload,
+    sentBy
+  });
+
+  const item = await createOutboxItem({ companyId: company.id, messageId: outbound.id, to, kind, payload, document });
+  const sent = await deliverOutboxItem(item.id);
+  return { ...sent, messageId: outbound.id };
+}
+
+export async function replyText({ company, convo, to, body, sentBy = "bot" }) {
+  return sendViaOutbox({ company, convo, to, body, rawPayload: null, sentBy, kind: "text", payload: { body } });
+}
+
+/**
+ * Pregunta con botones / lista. Sin `interactive` se manda como texto normal.
+ */
+export async function replyInteractive({ company, convo, to, body, interactive, sentBy = "bot" }) {
+  if (!interactive) return replyText({ company, convo, to, body, sentBy });
+
+  return sendViaOutbox({
+    company,
+    convo,
+    to,
+    body,
+    rawPayload: { type: "interactive", interactive },
+    sentBy,
+    kind: "interactive",
+    payload: { interactive }
+  });
+}
+
+/**
+ * quoteId: la cotización pasa a SENT cuando el PDF sale (aunque sea en un reintento).
+ */
+export async function replyDocument({ company, convo, to, caption, pdfBuffer, filename, sentBy = "bot", quoteId = null }) {
+  return sendViaOutbox({
+    company,
+    convo,
+    to,
+    body: caption || "",
+    rawPayload: { type: "document", filename },
+    sentBy,
+    kind: "document",
+    payload: { caption: caption || "", filename, meta: quoteId ? { quoteId } : undefined },
+    document: pdfBuffer
+  });
+}
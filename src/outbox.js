@@ -0,0 +1,192 @@
+/**
+ * src/outbox.js (ESM)
+ * Outbox persistente de WhatsApp (tabla OutboxItem).
+ *
+ * - El primer intento es inmediato (quien envía recibe el resultado).
+ * - 429 / 5xx / error de red => reintento con backoff exponencial, respetando
+ *   Retry-After (o el tiempo que indique Graph en X-Business-Use-Case-Usage).
+ * - Agotó OUTBOX_MAX_ATTEMPTS o error no reintentable => DEAD; un admin lo revisa
+ *   y lo reenvía desde la API (/api/outbox).
+ */
+
+import { prisma } from "./db.js";
+import { attachWaMessageId } from "./crm.js";
+import { sendWhatsAppText, sendWhatsAppDocument, sendWhatsAppInteractive } from "./whatsapp.js";
+import { markQuoteSent } from "./quote_lifecycle.js";
+
+const MAX_ATTEMPTS = Math.max(Number(process.env.OUTBOX_MAX_ATTEMPTS || 6), 1);
+const BASE_DELAY_MS = 5000;
+const MAX_DELAY_MS = 15 * 60 * 1000;
+const STALE_SENDING_MS = 5 * 60 * 1000;
+const POLL_MS = 5000;
+
+let pollTimer = null;
+let polling = false;
+
+// Sin el PDF (puede pesar MBs) para listados / detalle de la API
+const OUTBOX_SELECT = {
+  id: true,
+  companyId: true,
+  messageId: true,
+  to: true,
+  kind: true,
+  payload: true,
+  status: true,
+  attempts: true,
+  nextAttemptAt: true,
+  lastStatus: true,
+  lastError: true,
+  wamid: true,
+  sentAt: true,
+  deadAt: true,
+  createdAt: true,
+  updatedAt: true
+};
+
+function backoffMs(attempts) {
+  const base = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** (attempts - 1));
+  return Math.round(base * (0.8 + Math.random() * 0.4)); // ±20% para no reintentar todos juntos
+}
+
+export async function createOutboxItem({ companyId, messageId, to, kind, payload, document = null }) {
+  return prisma.outboxItem.create({
+    data: { companyId, messageId, to, kind, payload, document: document ? Buffer.from(document) : undefined }
+  });
+}
+
+async function sendItem(item) {
+  const p = item.payload || {};
+  if (item.kind === "text") return sendWhatsAppText(item.company, item.to, p.body);
+  if (item.kind === "interactive") return sendWhatsAppInteractive(item.company, item.to, p.interactive);
+  if (item.kind === "document") {
+    const pdfBuffer = item.document ? Buffer.from(item.document) : null;
+    return sendWhatsAppDocument(item.company, item.to, pdfBuffer, p.filename, p.caption);
+  }
+  return { ok: false, status: null, wamid: null, data: null, reason: `unknown_kind:${item.kind}`, retryable: false };
+}
+
+// Efectos de "ya llegó" (hoy: la cotización pasa a SENT cuando su PDF sale)
+async function afterSent(item, sent) {
+  const quoteId = item.payload?.meta?.quoteId;
+  if (item.kind === "document" && quoteId && !sent.fallback) {
+    await markQuoteSent(quoteId, { wamid: sent.wamid });
+  }
+}
+
+/**
+ * Un intento de envío. Toma el item solo si está PENDING (dos workers no lo mandan doble).
+ * @returns {Promise<Object|null>} resultado de Graph + { outboxId, outboxStatus }, o null si no se tomó
+ */
+export async function deliverOutboxItem(itemId) {
+  const claimed = await prisma.outboxItem.updateMany({
+    where: { id: itemId, status: "PENDING" },
+    data: { status: "SENDING", attempts: { increment: 1 } }
+  });
+  if (claimed.count !== 1) return null;
+
+  const item = await prisma.outboxItem.findUnique({ where: { id: itemId }, include: { company: true } });
+  const sent = await sendItem(item);
+
+  if (sent.ok) {
+    await prisma.outboxItem.update({
+      where: { id: item.id },
+      data: { status: "SENT", wamid: sent.wamid, sentAt: new Date(), lastStatus: sent.status, lastError: null }
+    });
+    if (sent.wamid) await attachWaMessageId(item.messageId, sent.wamid);
+    await afterSent(item, sent).catch((e) => console.log("Outbox afterSent error:", item.id, e));
+    return { ...sent, outboxId: item.id, outboxStatus: "SENT" };
+  }
+
+  const error = String(sent.reason || sent.data?.error?.message || "send_failed").slice(0, 1000);
+  const dead = !sent.retryable || item.attempts >= MAX_ATTEMPTS;
+  const delayMs = Math.max(sent.retryAfterMs || 0, backoffMs(item.attempts));
+
+  await prisma.outboxItem.update({
+    where: { id: item.id },
+    data: dead
+      ? { status: "DEAD", deadAt: new Date(), lastStatus: sent.status, lastError: error }
+      : { status: "PENDING", nextAttemptAt: new Date(Date.now() + delayMs), lastStatus: sent.status, lastError: error }
+  });
+
+  if (dead) console.log("Outbox DEAD:", item.id, item.kind, item.to, `attempt ${item.attempts}`, error);
+  else console.log("Outbox retry scheduled:", item.id, `attempt ${item.attempts}/${MAX_ATTEMPTS}`, `in ${delayMs}ms`, error);
+
+  return { ...sent, outboxId: item.id, outboxStatus: dead ? "DEAD" : "PENDING", queued: !dead };
+}
+
+async function pollOutbox() {
+  if (polling) return;
+  polling = true;
+  try {
+    // SENDING colgado (proceso murió a medio envío) => se vuelve a intentar
+    await prisma.outboxItem.updateMany({
+      where: { status: "SENDING", updatedAt: { lt: new Date(Date.now() - STALE_SENDING_MS) } },
+      data: { status: "PENDING" }
+    });
+
+    const due = await prisma.outboxItem.findMany({
+      where: { status: "PENDING", nextAttemptAt: { lte: new Date() } },
+      orderBy: { nextAttemptAt: "asc" },
+      select: { id: true },
+      take: 20
+    });
+
+    for (const { id } of due) {
+      await deliverOutboxItem(id).catch((e) => console.log("Outbox deliver error:", id, e));
+    }
+  } catch (e) {
+    console.log("Outbox poll error:", e);
+  } finally {
+    polling = false;
+  }
+}
+
+export function startOutboxWorker() {
+  if (pollTimer) return;
+  pollTimer = setInterval(pollOutbox, POLL_MS);
+  pollTimer.unref();
+  pollOutbox();
+}
+
+// --- Admin ---
+
+export async function listOutbox({ companyId, status, limit = 50, offset = 0 } = {}) {
+  const where = {};
+  if (companyId) where.companyId = companyId;
+  const statuses = String(status || "")
+    .split(",")
+    .map((s) => s.trim().toUpperCase())
+    .filter(Boolean);
+  if (statuses.length) where.status = { in: statuses };
+
+  const take = Math.min(Math.max(Number(limit) || 50, 1), 200);
+  const skip = Math.max(Number(offset) || 0, 0);
+
+  const [total, items] = await Promise.all([
+    prisma.outboxItem.count({ where }),
+    prisma.outboxItem.findMany({ where, select: OUTBOX_SELECT, orderBy: { createdAt: "desc" }, take, skip })
+  ]);
+  return { total, limit: take, offset: skip, items };
+}
+
+export async function getOutboxItem(itemId) {
+  return prisma.outboxItem.findUnique({ where: { id: itemId }, select: OUTBOX_SELECT });
+}
+
+/**
+ * Reenvío manual desde dead-letter: reinicia intentos y manda ya.
+ * @returns {{ ok: true, result } | { ok: false, reason: string }}
+ */
+export async function resendOutboxItem(itemId) {
+  const item = await prisma.outboxItem.findUnique({ where: { id: itemId }, select: { id: true, status: true } });
+  if (!item) return { ok: false, reason: "not_found" };
+  if (item.status !== "DEAD") return { ok: false, reason: "not_dead", status: item.status };
+
+  await prisma.outboxItem.update({
+    where: { id: item.id },
+    data: { status: "PENDING", attempts: 0, nextAttemptAt: new Date(), deadAt: null }
+  });
+
+  const result = await deliverOutboxItem(item.id);
+  return { ok: true, result };
+}
@@ -1,46 +1,105 @@
+// Altura: el cliente habla en metros, las fichas de equipo (USA) vienen en pies.
+// Se guarda lo que dijo (valor + unidad + si es de trabajo o de plataforma) y de ahí
+// se derivan metros/pies de TRABAJO, que es contra lo que se compara el catálogo.
+
+import { t } from "./i18n.js";
+
+export const FT_TO_M = 0.3048;
+// Altura de trabajo = piso de la plataforma + ~2 m (igual que Equipment.workingHeightM)
+export const PLATFORM_TO_WORKING_M = 2;
+
+const PLATFORM_RE =
+  /\b(altura de (la )?(plataforma|canasta|canastilla)|piso de (la )?(plataforma|canasta|canastilla)|(la )?(canasta|canastilla) (a|hasta|de)|platform height)\b/;
+const WORKING_RE = /\b(altura de trabajo|trabajar a|trabajo a|alcanzar|working height)\b/;
+
+export function detectHeightKind(text) {
+  const lower = String(text || "").toLowerCase();
+  if (PLATFORM_RE.test(lower)) return "PLATFORM";
+  if (WORKING_RE.test(lower)) return "WORKING";
+  return null;
+}
+
+export function metersToFeet(m) {
+  return Math.round(Number(m) / FT_TO_M);
+}
+
+/**
+ * { value, unit: "m" | "ft", kind: "WORKING" | "PLATFORM" | null } => + meters/feet de trabajo.
+ * kind null = el cliente no lo dijo; se toma como altura de trabajo.
+ */
+export function normalizeHeight({ value, unit, kind = null } = {}) {
+  const v = Number(value);
+  if (value == null || !Number.isFinite(v) || v <= 0) return null;
+
+  const u = unit === "ft" ? "ft" : "m";
+  const givenM = u === "ft" ? v * FT_TO_M : v;
+  const workingM = kind === "PLATFORM" ? givenM + PLATFORM_TO_WORKING_M : givenM;
+
+  return { value: v, unit: u, kind: kind || null, meters: round1(workingM), feet: metersToFeet(workingM) };
+}
+
 export function parseHeight(text) {
-  if (!text) return { meters: null, feet: null };
+  const empty = { meters: null, feet: null, value: null, unit: null, kind: null };
+  if (!text) return empty;
 
-  const t = text.toLowerCase().replace(/,/g, ".").trim();
+  const normalized = text.toLowerCase().replace(/,/g, ".").trim();
+  const kind = detectHeightKind(normalized);
 
-  // 1) metros: "14m", "14 m", "14 metros"
-  let m = t.match(/(\d+(\.\d+)?)\s*(m|metro|metros)\b/);
+  // 1) metros: "14m", "14 m", "14 metros", "14 meters"
+  let m = normalized.match(/(\d+(\.\d+)?)\s*(m|metro|metros|meter|meters|mts)\b/);
   if (m) {
     const meters = Number(m[1]);
     if (Number.isFinite(meters) && meters > 0 && meters < 60) {
-      const feet = Math.round(meters / 0.3048);
-      return { meters: round1(meters), feet };
+      return normalizeHeight({ value: round1(meters), unit: "m", kind });
     }
   }
 
-  // 2) pies: "40ft", "40 ft", "40 pies"
-  let f = t.match(/(\d+)\s*(ft|pies|pie)\b/);
+  // 2) pies: "40ft", "40 ft", "40 pies", "40 feet", "40'"
+  let f = normalized.match(/(\d+)\s*(ft|pies|pie|feet|foot|')(?![a-z])/);
   if (f) {
     const feet = Number(f[1]);
     if (Number.isFinite(feet) && feet > 0 && feet < 200) {
-      const meters = feet * 0.3048;
-      return { meters: round1(meters), feet };
+      return normalizeHeight({ value: feet, unit: "ft", kind });
     }
   }
 
   // 3) número suelto (por ahora lo tratamos como metros si <= 25, si no como pies)
-  let n = t.match(/^\s*(\d+(\.\d+)?)\s*$/);
+  let n = normalized.match(/^\s*(\d+(\.\d+)?)\s*$/);
   if (n) {
     const val = Number(n[1]);
     if (val > 0 && val < 200) {
-      if (val <= 25) {
-        const meters = val;
-        const feet = Math.round(meters / 0.3048);
-        return { meters: round1(meters), feet };
-      } else {
-        const feet = Math.round(val);
-        const meters = feet * 0.3048;
-        return { meters: round1(meters), feet };
-      }
+      if (val <= 25) return normalizeHeight({ value: round1(val), unit: "m", kind });
+      return normalizeHeight({ value: Math.round(val), unit: "ft", kind });
     }
   }
 
-  return { meters: null, feet: null };
+  return empty;
+}
+
+/**
+ * Altura de una Qualification (o del mismo shape) para mensajes y PDF, en las dos unidades.
+ * Primero la unidad en que la dijo el cliente: "45 ft (13.7 m)", "14 m (46 ft)".
+ * compact (PDF): "45 ft / 13.7 m", "14.2 m / 47 ft de trabajo".
+ */
+export function formatHeight(q, { compact = false, lang = "es" } = {}) {
+  if (q?.heightMeters == null) return "—";
+
+  const m = round1(Number(q.heightMeters));
+  const ft = q.heightFeet ?? metersToFeet(m);
+  const pair = (a, b) => (compact ? `${a} / ${b}` : `${a} (${b})`);
+  const working = pair(`${m} m`, `${ft} ft`);
+
+  if (q.heightKind === "PLATFORM" && q.heightValue != null) {
+    const workingTxt = `${working} ${t(lang, "height.working")}`;
+    if (compact) return workingTxt;
+    const given =
+      q.heightUnit === "ft"
+        ? pair(`${q.heightValue} ft`, `${round1(q.heightValue * FT_TO_M)} m`)
+        : pair(`${q.heightValue} m`, `${metersToFeet(q.heightValue)} ft`);
+    return `${given} ${t(lang, "height.platform")}, ${workingTxt}`;
+  }
+
+  return q.heightUnit === "ft" ? pair(`${q.heightValue ?? ft} ft`, `${m} m`) : working;
 }
 
 function round1(x) {
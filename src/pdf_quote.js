@@ -1,29 +1,10 @@
 import PDFDocument from "pdfkit";
-
-function moneyShortMx(n) {
-  const v = Math.round(Number(n || 0));
-  return v.toLocaleString("es-MX", { maximumFractionDigits: 0 });
-}
-
-function mxn(n) {
-  const v = Math.round(Number(n || 0));
-  return v.toLocaleString("es-MX", {
-    style: "currency",
-    currency: "MXN",
-    maximumFractionDigits: 0,
-  });
-}
+import { t, fmtDate, fmtDays, fmtMoney, fmtNumber, valueLabel, normalizeLanguage } from "./i18n.js";
 
 function safeText(v) {
   return v == null ? "" : String(v);
 }
 
-function fmtDateEsMX(iso) {
-  const d = iso ? new Date(iso) : new Date();
-  if (Number.isNaN(d.getTime())) return "";
-  return d.toLocaleDateString("es-MX", { year: "numeric", month: "short", day: "2-digit" });
-}
-
 function roundedBox(doc, x, y, w, h, r, fill, stroke) {
   doc.save();
   if (fill) doc.fillColor(fill);
@@ -48,13 +29,10 @@ function drawKV(doc, x, y, label, value, labelW = 70, valueW = 210) {
     .text(value, x + labelW, y, { width: valueW });
 }
 
-function pickLabelForOption(opt, requestedDays) {
+function pickLabelForOption(lang, opt, requestedDays) {
   const d = Number(opt?.durationDays || 0);
-  if (requestedDays != null && d === Number(requestedDays)) return `Solicitado (${d} días)`;
-  if (d === 1) return "1 día";
-  if (d === 7) return "7 días";
-  if (d === 30) return "30 días";
-  return `${d} días`;
+  if (requestedDays != null && d === Number(requestedDays)) return t(lang, "pdf.requested", { days: fmtDays(lang, d) });
+  return fmtDays(lang, d);
 }
 
 function effectivePerDay(opt) {
@@ -68,8 +46,8 @@ function drawBulletListFit(doc, x, y, w, maxBottomY, items) {
   doc.font("Helvetica").fontSize(8.4).fillColor("#334155");
 
   let cy = y;
-  for (const t of items) {
-    const text = safeText(t);
+  for (const item of items) {
+    const text = safeText(item);
     const h = doc.heightOfString(text, { width: w - 12, lineGap: 1.4 });
     const needed = Math.max(12, h) + 6;
     if (cy + needed > maxBottomY) break;
@@ -85,15 +63,25 @@ function drawBulletListFit(doc, x, y, w, maxBottomY, items) {
 
 export async function generateQuotePdfBuffer(payload) {
   const {
+    lang: rawLang = "es",
     company = {},
     lead = {},
     quote = {},
     equipment = {},
     options = [],
     requestedDays,
+    paint = null,
+    site = null,
     terms = [],
   } = payload || {};
 
+  const lang = normalizeLanguage(rawLang);
+  const mxn = (n) => fmtMoney(lang, n);
+  const moneyShortMx = (n) => fmtNumber(lang, n);
+  const daysTxt = (d) => (d ? fmtDays(lang, d) : "—");
+  // Valores de la Qualification ("PISO_FIRME") con su etiqueta en el idioma del lead
+  const label = (field, v) => (v ? valueLabel(lang, field, v) : "—");
+
   const doc = new PDFDocument({
     size: "A4",
     margins: { top: 26, left: 32, right: 32, bottom: 26 },
@@ -118,23 +106,23 @@ export async function generateQuotePdfBuffer(payload) {
   doc.rect(0, 0, pageW, headerH).fill("#0b1220");
   doc.restore();
 
-  // Texto empresa (como tu primer intento)
+  // Texto empresa (tenant): razón social si la tiene, si no el nombre comercial
   doc.font("Helvetica-Bold").fontSize(16).fillColor("#ffffff");
-  doc.text("TS Contratistas", x0, 22, { width: contentW });
+  doc.text(safeText(company.legalName || company.name || "—"), x0, 22, { width: contentW });
 
   doc.font("Helvetica").fontSize(8.6).fillColor("#cbd5e1");
-  doc.text("Cotización automática generada por VEXIQO", x0, 44, { width: contentW });
+  doc.text(t(lang, "pdf.subtitle"), x0, 44, { width: contentW });
 
   const folio = safeText(quote.quoteNumber || "—");
-  const fecha = fmtDateEsMX(quote.createdAtISO || Date.now());
+  const fecha = fmtDate(lang, quote.createdAtISO || Date.now());
 
   doc.font("Helvetica").fontSize(8.5).fillColor("#cbd5e1");
-  doc.text("Folio", x0, 20, { width: contentW, align: "right" });
+  doc.text(t(lang, "pdf.folio"), x0, 20, { width: contentW, align: "right" });
   doc.font("Helvetica-Bold").fontSize(10.5).fillColor("#ffffff");
   doc.text(folio, x0, 32, { width: contentW, align: "right" });
 
   doc.font("Helvetica").fontSize(8.5).fillColor("#cbd5e1");
-  doc.text("Fecha", x0, 50, { width: contentW, align: "right" });
+  doc.text(t(lang, "pdf.date"), x0, 50, { width: contentW, align: "right" });
   doc.font("Helvetica-Bold").fontSize(9.5).fillColor("#ffffff");
   doc.text(fecha || "—", x0, 62, { width: contentW, align: "right" });
 
@@ -147,7 +135,7 @@ export async function generateQuotePdfBuffer(payload) {
 
   // Zona pill
   if (quote.transportZone) {
-    const text = `Zona: ${safeText(quote.transportZone)}`;
+    const text = t(lang, "pdf.zone", { zone: safeText(quote.transportZone) });
     doc.font("Helvetica-Bold").fontSize(8).fillColor("#ffffff");
 
     const padX = 10;
@@ -158,49 +146,82 @@ export async function generateQuotePdfBuffer(payload) {
     y += 20;
   }
 
+  // Revisión: qué cambió contra la cotización anterior
+  if (quote.previousQuoteNumber) {
+    const changes = Array.isArray(quote.revisionChanges) ? quote.revisionChanges.filter(Boolean) : [];
+    const line = t(lang, "pdf.revision", { revision: safeText(quote.revision), previous: safeText(quote.previousQuoteNumber) });
+    const changesTxt = changes.length ? t(lang, "pdf.changes", { changes: changes.join("  ·  ") }) : "";
+
+    doc.font("Helvetica").fontSize(8);
+    const boxH = 20 + (changesTxt ? doc.heightOfString(changesTxt, { width: contentW - 28 }) + 2 : 0);
+    roundedBox(doc, x0, y, contentW, boxH, 10, "#fff7ed", "#fdba74");
+
+    doc.font("Helvetica-Bold").fontSize(8.5).fillColor("#9a3412");
+    doc.text(line, x0 + 14, y + 6, { width: contentW - 28 });
+    if (changesTxt) {
+      doc.font("Helvetica").fontSize(8).fillColor("#7c2d12");
+      doc.text(changesTxt, x0 + 14, y + 18, { width: contentW - 28 });
+    }
+    y += boxH + 8;
+  }
+
   // Cards
   const cardH = 76;
   roundedBox(doc, x0, y, contentW, cardH, 14, "#f8fafc", null);
 
-  drawSectionTitle(doc, x0 + 14, y + 12, "Cliente");
-  drawSectionTitle(doc, x0 + 300, y + 12, "Requerimiento");
+  drawSectionTitle(doc, x0 + 14, y + 12, t(lang, "pdf.customer"));
+  drawSectionTitle(doc, x0 + 300, y + 12, t(lang, "pdf.requirement"));
 
   const leadName = safeText(lead.name || "—");
   const wa = safeText(lead.phone || lead.phoneE164 || "—");
 
-  drawKV(doc, x0 + 14, y + 30, "Nombre:", leadName, 60, 210);
-  drawKV(doc, x0 + 14, y + 46, "WhatsApp:", wa, 60, 210);
+  drawKV(doc, x0 + 14, y + 30, t(lang, "pdf.name"), leadName, 60, 210);
+  drawKV(doc, x0 + 14, y + 46, t(lang, "pdf.whatsapp"), wa, 60, 210);
 
-  drawKV(doc, x0 + 300, y + 30, "Equipo:", safeText(equipment.type || "—"), 55, 170);
+  const equipmentTxt = safeText(equipment.name || label("type", equipment.type));
+  drawKV(doc, x0 + 300, y + 30, t(lang, "pdf.equipment"), equipmentTxt, 55, 170);
 
-  const heightTxt =
-    equipment.height_m != null && safeText(equipment.height_m) !== ""
-      ? `${safeText(equipment.height_m)} m`
+  // Metros y pies (las fichas de los equipos vienen en pies)
+  const heightTxt = equipment.height_label
+    ? safeText(equipment.height_label)
+    : equipment.height_m != null && safeText(equipment.height_m) !== ""
+      ? `${safeText(equipment.height_m)} m${equipment.height_ft != null ? ` / ${safeText(equipment.height_ft)} ft` : ""}`
       : "—";
-  drawKV(doc, x0 + 300, y + 46, "Altura:", heightTxt, 55, 170);
+  drawKV(doc, x0 + 300, y + 46, t(lang, "pdf.height"), heightTxt, 55, 170);
 
   y += cardH + 10;
 
-  // Strip técnico
-  const stripH = 40;
+  // Strip técnico (+ renglón de obra si el cliente compartió ubicación)
+  const hasSite = site && Number.isFinite(Number(site.lat)) && Number.isFinite(Number(site.lng));
+  const stripH = hasSite ? 55 : 40;
   roundedBox(doc, x0, y, contentW, stripH, 14, "#ffffff", "#e2e8f0");
 
   const cityVal = safeText(equipment.city || lead.city || quote.transportZone || "—");
 
-  drawKV(doc, x0 + 14, y + 11, "Ciudad:", cityVal, 55, 190);
-  drawKV(doc, x0 + 260, y + 11, "Terreno:", safeText(equipment.terrain || "—"), 60, 190);
-  drawKV(doc, x0 + 14, y + 26, "Actividad:", safeText(equipment.activity || "—"), 55, 190);
+  drawKV(doc, x0 + 14, y + 11, t(lang, "pdf.city"), cityVal, 55, 190);
+  drawKV(doc, x0 + 260, y + 11, t(lang, "pdf.terrain"), safeText(label("terrain", equipment.terrain)), 60, 190);
+  drawKV(doc, x0 + 14, y + 26, t(lang, "pdf.activity"), safeText(label("activity", equipment.activity)), 55, 190);
+
+  drawKV(doc, x0 + 260, y + 26, t(lang, "pdf.duration"), daysTxt(requestedDays), 60, 190);
 
-  const durTxt = requestedDays ? `${requestedDays} días` : "—";
-  drawKV(doc, x0 + 260, y + 26, "Duración:", durTxt, 60, 190);
+  if (hasSite) {
+    const coords = `${Number(site.lat).toFixed(5)}, ${Number(site.lng).toFixed(5)}`;
+    let siteLabel = [site.name, site.address].filter(Boolean).join(", ");
+    if (siteLabel.length > 80) siteLabel = `${siteLabel.slice(0, 79)}…`; // una sola línea
+    const siteTxt = siteLabel ? `${safeText(siteLabel)} (${coords})` : coords;
+    drawKV(doc, x0 + 14, y + 41, t(lang, "pdf.site"), siteTxt, 55, contentW - 90);
+  }
 
   y += stripH + 12;
 
   // Tabla
-  drawSectionTitle(doc, x0, y, "Opciones de cotización");
+  drawSectionTitle(doc, x0, y, t(lang, "pdf.options"));
   y += 12;
 
   const usableOptions = Array.isArray(options) ? options : [];
+  const transportManual = !!quote.transportManual;
+  const toBeQuoted = t(lang, "pdf.to_be_quoted");
+  const transportCell = (opt) => (transportManual ? toBeQuoted : `$${moneyShortMx(opt?.transportMx || 0)}`);
 
   // best costo/día
   let bestIdx = -1;
@@ -213,14 +234,25 @@ export async function generateQuotePdfBuffer(payload) {
     }
   });
 
-  const cols = [
-    { label: "Opción", w: 155, align: "left" },
-    { label: "Precio / día", w: 80, align: "right" },
-    { label: "Equipo (sin IVA)", w: 95, align: "right" },
-    { label: "Transporte", w: 75, align: "right" },
-    { label: "IVA 16%", w: 60, align: "right" },
-    { label: "Total", w: 55, align: "right" },
-  ];
+  // Con pintura se agrega la columna del recargo (mismo ancho total)
+  const cols = paint
+    ? [
+        { key: "label", label: t(lang, "pdf.col_option"), w: 130, align: "left" },
+        { key: "perDay", label: t(lang, "pdf.col_per_day"), w: 70, align: "right" },
+        { key: "rental", label: t(lang, "pdf.col_rental"), w: 80, align: "right" },
+        { key: "paint", label: t(lang, "pdf.col_paint", { pct: safeText(paint.surchargePct) }), w: 65, align: "right" },
+        { key: "transport", label: t(lang, "pdf.col_transport"), w: 65, align: "right" },
+        { key: "vat", label: t(lang, "pdf.col_vat"), w: 55, align: "right" },
+        { key: "total", label: t(lang, "pdf.col_total"), w: 55, align: "right" },
+      ]
+    : [
+        { key: "label", label: t(lang, "pdf.col_option"), w: 155, align: "left" },
+        { key: "perDay", label: t(lang, "pdf.col_per_day"), w: 80, align: "right" },
+        { key: "rental", label: t(lang, "pdf.col_rental"), w: 95, align: "right" },
+        { key: "transport", label: t(lang, "pdf.col_transport"), w: 75, align: "right" },
+        { key: "vat", label: t(lang, "pdf.col_vat"), w: 60, align: "right" },
+        { key: "total", label: t(lang, "pdf.col_total"), w: 55, align: "right" },
+      ];
   const tableW = cols.reduce((a, c) => a + c.w, 0); // 520 exact
 
   roundedBox(doc, x0, y, tableW, 22, 10, "#0f172a", null);
@@ -245,30 +277,29 @@ export async function generateQuotePdfBuffer(payload) {
     if (isRequested) roundedBox(doc, x0, y, tableW, rowH, 10, "#e0f2fe", null);
     else if (i % 2 === 1) roundedBox(doc, x0, y, tableW, rowH, 10, "#f8fafc", null);
 
-    const label = pickLabelForOption(opt, requestedDays);
     const perDay = effectivePerDay(opt);
 
-    const cells = [
-      label,
-      perDay ? `$${moneyShortMx(perDay)}` : "—",
-      `$${moneyShortMx(opt?.rentalBaseMx || 0)}`,
-      `$${moneyShortMx(opt?.transportMx || 0)}`,
-      `$${moneyShortMx(opt?.vatMx || 0)}`,
-      `$${moneyShortMx(opt?.totalMx || 0)}`,
-    ];
+    const cells = {
+      label: pickLabelForOption(lang, opt, requestedDays),
+      perDay: perDay ? `$${moneyShortMx(perDay)}` : "—",
+      rental: `$${moneyShortMx(opt?.rentalBaseMx || 0)}`,
+      paint: `$${moneyShortMx(opt?.paintSurchargeMx || 0)}`,
+      transport: transportCell(opt),
+      vat: `$${moneyShortMx(opt?.vatMx || 0)}`,
+      total: `$${moneyShortMx(opt?.totalMx || 0)}`,
+    };
 
     doc.fillColor("#0f172a").font("Helvetica").fontSize(8.8);
 
     cx = x0;
-    for (let k = 0; k < cols.length; k++) {
-      const c = cols[k];
-      doc.text(safeText(cells[k]), cx + 8, y + 6, { width: c.w - 16, align: c.align || "left" });
+    for (const c of cols) {
+      doc.text(safeText(cells[c.key]), cx + 8, y + 6, { width: c.w - 16, align: c.align || "left" });
       cx += c.w;
     }
 
     // Badge centrado dentro de columna Opción (sin tocar precio/día)
     if (isBest) {
-      const badge = "Mejor costo / día";
+      const badge = t(lang, "pdf.best_per_day");
       doc.font("Helvetica-Bold").fontSize(7.8);
 
       const padX = 8;
@@ -290,19 +321,44 @@ export async function generateQuotePdfBuffer(payload) {
     y += rowH + gap;
   }
 
+  // Depósito de pintura: línea aparte (reembolsable, no suma IVA ni entra al total de renta)
+  if (paint && Number(paint.depositMx) > 0) {
+    roundedBox(doc, x0, y, tableW, rowH, 10, "#fef3c7", null);
+    const lastCol = cols[cols.length - 1];
+    doc.fillColor("#0f172a").font("Helvetica-Bold").fontSize(8.8);
+    doc.text(t(lang, "pdf.paint_deposit"), x0 + 8, y + 6, {
+      width: tableW - lastCol.w - 16,
+    });
+    doc.text(`$${moneyShortMx(paint.depositMx)}`, x0 + tableW - lastCol.w + 8, y + 6, {
+      width: lastCol.w - 16,
+      align: "right",
+    });
+    y += rowH + gap;
+  }
+
   // Resumen
   const main = usableOptions?.[0] || null;
   y += 6;
 
-  const sumH = 70;
+  const summaryRows = [
+    { label: t(lang, "pdf.sum_rental"), value: mxn(main?.rentalBaseMx || 0) },
+    ...(paint
+      ? [{ label: t(lang, "pdf.sum_paint", { pct: safeText(paint.surchargePct) }), value: mxn(main?.paintSurchargeMx || 0) }]
+      : []),
+    { label: t(lang, "pdf.sum_transport"), value: transportManual ? toBeQuoted : mxn(main?.transportMx || 0) },
+    { label: t(lang, "pdf.sum_vat"), value: mxn(main?.vatMx || 0) },
+  ];
+  const hasDeposit = !!paint && Number(main?.depositMx || paint.depositMx) > 0;
+
+  const sumH = 70 + (summaryRows.length - 3) * 14 + (hasDeposit ? 16 : 0);
   roundedBox(doc, x0, y, contentW, sumH, 16, "#0f172a", null);
 
   doc.font("Helvetica-Bold").fontSize(9.8).fillColor("#ffffff");
-  doc.text("Resumen (opción solicitada)", x0 + 14, y + 12);
+  doc.text(t(lang, "pdf.summary"), x0 + 14, y + 12);
 
   doc.font("Helvetica").fontSize(8.8).fillColor("#cbd5e1");
-  doc.text(`Equipo: ${safeText(equipment.type || "—")}`, x0 + 14, y + 30, { width: 320 });
-  doc.text(`Duración: ${requestedDays ? `${requestedDays} días` : "—"}`, x0 + 14, y + 44, {
+  doc.text(t(lang, "pdf.summary_equipment", { equipment: equipmentTxt }), x0 + 14, y + 30, { width: 320 });
+  doc.text(t(lang, "pdf.summary_duration", { days: daysTxt(requestedDays) }), x0 + 14, y + 44, {
     width: 320,
   });
 
@@ -312,43 +368,50 @@ export async function generateQuotePdfBuffer(payload) {
   const labelW = 120;
   const valueW = blockW - labelW;
 
-  doc.font("Helvetica").fontSize(8.6).fillColor("#cbd5e1");
-  doc.text("Equipo (sin IVA)", blockX, y + 14, { width: labelW, align: "left" });
-  doc.text("Transporte", blockX, y + 28, { width: labelW, align: "left" });
-  doc.text("IVA 16%", blockX, y + 42, { width: labelW, align: "left" });
-
-  doc.font("Helvetica-Bold").fontSize(8.8).fillColor("#ffffff");
-  doc.text(mxn(main?.rentalBaseMx || 0), blockX + labelW, y + 14, { width: valueW, align: "right" });
-  doc.text(mxn(main?.transportMx || 0), blockX + labelW, y + 28, { width: valueW, align: "right" });
-  doc.text(mxn(main?.vatMx || 0), blockX + labelW, y + 42, { width: valueW, align: "right" });
+  summaryRows.forEach((row, i) => {
+    const ry = y + 14 + i * 14;
+    doc.font("Helvetica").fontSize(8.6).fillColor("#cbd5e1");
+    doc.text(row.label, blockX, ry, { width: labelW, align: "left" });
+    doc.font("Helvetica-Bold").fontSize(8.8).fillColor("#ffffff");
+    doc.text(row.value, blockX + labelW, ry, { width: valueW, align: "right" });
+  });
 
+  const totalY = y + 10 + summaryRows.length * 14;
   doc.font("Helvetica-Bold").fontSize(15.5).fillColor("#ffffff");
-  doc.text(mxn(main?.totalMx || 0), blockX, y + 52, { width: blockW, align: "right" });
+  doc.text(mxn(main?.totalMx || 0), blockX, totalY, { width: blockW, align: "right" });
+
+  if (hasDeposit) {
+    doc.font("Helvetica").fontSize(8.2).fillColor("#fde68a");
+    doc.text(
+      t(lang, "pdf.deposit_note", { deposit: mxn(main?.depositMx || paint.depositMx) }),
+      blockX - 60,
+      totalY + 20,
+      { width: blockW + 60, align: "right" }
+    );
+  }
 
   y += sumH + 10;
 
   // Condiciones (siempre incluye transporte + vigencia)
-  drawSectionTitle(doc, x0, y, "Condiciones");
+  drawSectionTitle(doc, x0, y, t(lang, "pdf.terms"));
   y += 12;
 
-  const required = [
-    "Transporte redondo según zona (si aplica).",
-    "Vigencia: 48 horas.",
-  ];
+  const required = [t(lang, "terms.transport"), t(lang, "terms.validity")];
 
   // si terms trae algo extra (como optimización), lo ponemos primero y luego garantizamos required
   const extras = Array.isArray(terms) ? terms.filter(Boolean) : [];
   const merged = [];
 
-  for (const t of extras) {
-    if (!merged.includes(t)) merged.push(t);
+  for (const term of extras) {
+    if (!merged.includes(term)) merged.push(term);
   }
-  for (const t of required) {
-    if (!merged.includes(t)) merged.push(t);
+  for (const term of required) {
+    if (!merged.includes(term)) merged.push(term);
   }
   // y aseguramos también IVA si no venía
-  if (!merged.some((t) => String(t).toLowerCase().includes("iva"))) {
-    merged.splice(merged.length - 2, 0, "Precios sin IVA. IVA 16% por separado.");
+  const vatTerm = t(lang, "terms.vat");
+  if (!merged.includes(vatTerm)) {
+    merged.splice(merged.length - 2, 0, vatTerm);
   }
 
   // caja fija pero con fit para que no se salga
@@ -364,6 +427,6 @@ export async function generateQuotePdfBuffer(payload) {
   doc.end();
 
   const buffer = await bufferPromise;
-  const filename = `Cotizacion_${safeText(quote.quoteNumber || "SN")}.pdf`;
+  const filename = t(lang, "pdf.filename", { number: safeText(quote.quoteNumber || "SN") });
   return { buffer, filename };
 }
@@ -1,14 +1,17 @@
 /**
  * src/pricing_engine_v2.js (ESM)
  *
- * 45 ft pricing rules (MXN, SIN IVA) per master:
- * - 1–3 días:   $2,300 / día
- * - 4–7 días:   $2,200 / día  (pero 7 días tiene precio fijo)
- * - 8–14 días:  $1,800 / día
- * - 15–21 días: $1,500 / día
- * - >21 días:   $1,050 / día
- * - 7 días fijo:  $15,400
- * - 30 días fijo: $31,500
+ * Motor puro (sin BD): calcula con la tarifa (RateCard) que le pasen.
+ * Las tarifas viven en Prisma por empresa + modelo (ver src/rate_cards.js).
+ *
+ * rateCard = {
+ *   tiers:   [{ minDays, maxDays|null, ratePerDayMx }],   // MXN, SIN IVA
+ *   bundles: [{ days, priceMx }]                         // precio fijo, gana sobre tiers
+ * }
+ *
+ * paint (solo actividad PINTURA) = { surchargePct, depositMx }:
+ * - el recargo se suma a la renta (causa IVA)
+ * - el depósito es reembolsable, va aparte y NO causa IVA (totalDueMx = totalMx + depositMx)
  *
  * Returns 3 columns for PDF:
  *  - primary: exact requested duration
@@ -23,7 +26,7 @@ function computeVat(subtotalMx, vatRate) {
   return roundMx(subtotalMx * vatRate);
 }
 
-function rentalBase45ftMx(durationDays) {
+function rentalBaseFromRateCard(rateCard, durationDays) {
   const d = Number(durationDays);
 
   if (!Number.isFinite(d) || d <= 0) {
@@ -31,32 +34,36 @@ function rentalBase45ftMx(durationDays) {
   }
 
   // Fixed bundles override tiers
-  if (d === 7) return 15400;
-  if (d === 30) return 31500;
-
-  let ratePerDay;
-  if (d >= 1 && d <= 3) ratePerDay = 2300;
-  else if (d >= 4 && d <= 7) ratePerDay = 2200;
-  else if (d >= 8 && d <= 14) ratePerDay = 1800;
-  else if (d >= 15 && d <= 21) ratePerDay = 1500;
-  else ratePerDay = 1050; // >21
+  const bundle = (rateCard?.bundles || []).find((b) => Number(b.days) === d);
+  if (bundle) return roundMx(bundle.priceMx);
+
+  const tier = (rateCard?.tiers || []).find(
+    (t) => d >= Number(t.minDays) && (t.maxDays == null || d <= Number(t.maxDays))
+  );
+  if (!tier) {
+    throw new Error(`Rate card has no tier for ${d} days (rateCard ${rateCard?.id || "inline"})`);
+  }
 
-  return roundMx(d * ratePerDay);
+  return roundMx(d * Number(tier.ratePerDayMx));
 }
 
 /**
  * @param {Object} input
  * @param {number} input.durationDays
- * @param {string} input.equipmentModel
+ * @param {Object} input.rateCard
+ * @param {string=} input.equipmentModel  (solo para mensajes de error)
  * @param {number} input.transportRoundTripMx
+ * @param {{ surchargePct: number, depositMx: number }=} input.paint
  * @param {number=} input.vatRate
  * @returns {{ options: Array, primary: Object, references: Object[] }}
  */
 export function computeComparativeOptions(input) {
   const {
     durationDays,
+    rateCard,
     equipmentModel,
     transportRoundTripMx,
+    paint = null,
     vatRate = 0.16,
   } = input || {};
 
@@ -67,24 +74,30 @@ export function computeComparativeOptions(input) {
 
   const transportMx = roundMx(transportRoundTripMx || 0);
 
-  const model = String(equipmentModel || "45FT").toUpperCase();
-  if (model !== "45FT" && model !== "45" && model !== "45_PIES" && model !== "JLG45") {
-    throw new Error(`Unsupported equipmentModel for pricing_engine_v2: ${equipmentModel}`);
+  if (!rateCard) {
+    throw new Error(`No rate card for equipmentModel: ${equipmentModel}`);
   }
 
+  const surchargePct = Number(paint?.surchargePct || 0);
+  const depositMx = roundMx(paint?.depositMx || 0);
+
   const makeOption = (days) => {
-    const rentalBaseMx = rentalBase45ftMx(days);
-    const subtotalMx = roundMx(rentalBaseMx + transportMx);
+    const rentalBaseMx = rentalBaseFromRateCard(rateCard, days);
+    const paintSurchargeMx = roundMx((rentalBaseMx * surchargePct) / 100);
+    const subtotalMx = roundMx(rentalBaseMx + paintSurchargeMx + transportMx);
     const vatMx = computeVat(subtotalMx, vatRate);
     const totalMx = roundMx(subtotalMx + vatMx);
 
     return {
       durationDays: days,
       rentalBaseMx,
+      paintSurchargeMx,
       transportMx,
       subtotalMx,
       vatMx,
       totalMx,
+      depositMx,
+      totalDueMx: roundMx(totalMx + depositMx),
     };
   };
 
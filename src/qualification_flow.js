@@ -0,0 +1,343 @@
+/**
+ * src/qualification_flow.js (ESM)
+ * Flujo de calificación por empresa (Company.flowDefinition; null => DEFAULT_FLOW).
+ *
+ * Define qué se pregunta y en qué orden: campos, obligatorio/opcional, textos (pregunta y
+ * reintento) y condiciones ("terreno solo si es BRAZO"). De aquí salen los faltantes y la
+ * siguiente pregunta, así que agregar "¿necesitas operador?" es configuración, no código.
+ *
+ * Campos base (los entiende el extractor y viven en columnas de Qualification / Lead):
+ *   height_m, type, activity, terrain, city, transport_zone, duration_days, email
+ * Cualquier otra llave es un campo propio de la empresa: su respuesta se guarda en
+ * Qualification.extra y se interpreta según `kind` (choice | yes_no | number | text).
+ *
+ * Campo: { key, required?, prompt?, retryPrompt?, buttonText?, kind?, choices?, when? }
+ *   prompt / retryPrompt / buttonText / choices[].label: llave de i18n, texto o { es, en }
+ *   when: { field, equals | in | notEquals } o lista de condiciones (todas deben cumplirse)
+ */
+
+import { validateJsonSchema } from "./json_schema.js";
+import { localize, valueLabel, fmtDays, t, LANGUAGES } from "./i18n.js";
+import { quickReplyId } from "./quick_replies.js";
+import { parseYesNo } from "./rule_extractor.js";
+import { normalizeText } from "./transport_zones.js";
+import { SKIPPED_EXTRA_KEY } from "./crm.js";
+
+// Opciones cerradas de los campos base (ids "q:<campo>:<valor>"; el id no cambia con el idioma)
+const CHOICE_VALUES = {
+  type: ["BRAZO", "TIJERA"],
+  activity: ["PINTURA", "GENERAL"],
+  terrain: ["PISO_FIRME", "TERRACERIA"]
+};
+const DURATION_OPTIONS = [1, 7, 30];
+
+// El flujo de siempre: técnico primero, email al final
+export const DEFAULT_FLOW = {
+  fields: [
+    { key: "height_m", required: true, prompt: "q.height", retryPrompt: "q.height_retry" },
+    { key: "type", required: true, prompt: "q.type", retryPrompt: "q.type_retry" },
+    { key: "activity", required: true, prompt: "q.activity", retryPrompt: "q.activity_retry" },
+    { key: "terrain", required: true, prompt: "q.terrain", retryPrompt: "q.terrain_retry" },
+    { key: "city", required: true, prompt: "q.city_list", retryPrompt: "q.city_retry", buttonText: "q.city_button" },
+    { key: "transport_zone", required: true, prompt: "q.zone", retryPrompt: "q.zone_retry", buttonText: "q.zone_button" },
+    { key: "duration_days", required: true, prompt: "q.duration", retryPrompt: "q.duration_retry" },
+    { key: "email", required: true, prompt: "q.email", retryPrompt: "q.email_retry" }
+  ]
+};
+
+const BUILTIN = Object.fromEntries(DEFAULT_FLOW.fields.map((f) => [f.key, f]));
+// Sin ciudades dadas de alta no hay lista: se pregunta abierto
+const CITY_OPEN_PROMPT = "q.city";
+// Sin estos no hay match de equipo ni precio
+const ALWAYS_REQUIRED = ["height_m", "duration_days"];
+const CUSTOM_KINDS = ["choice", "yes_no", "number", "text"];
+const KEY_RE = /^[a-z][a-z0-9_]{0,39}$/;
+
+const TEXT = { type: ["string", "object"] };
+
+const CONDITION_SCHEMA = {
+  type: "object",
+  required: ["field"],
+  additionalProperties: false,
+  properties: {
+    field: { type: "string" },
+    equals: { type: ["string", "number", "boolean"] },
+    notEquals: { type: ["string", "number", "boolean"] },
+    in: { type: "array", items: { type: ["string", "number", "boolean"] } }
+  }
+};
+
+const FLOW_SCHEMA = {
+  type: "object",
+  required: ["fields"],
+  additionalProperties: false,
+  properties: {
+    fields: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["key"],
+        additionalProperties: false,
+        properties: {
+          key: { type: "string" },
+          required: { type: "boolean" },
+          kind: { type: "string", enum: CUSTOM_KINDS },
+          prompt: TEXT,
+          retryPrompt: TEXT,
+          buttonText: TEXT,
+          choices: {
+            type: "array",
+            items: {
+              type: "object",
+              required: ["value"],
+              additionalProperties: false,
+              properties: {
+                value: { type: ["string", "number"] },
+                label: TEXT,
+                synonyms: { type: "array", items: { type: "string" } }
+              }
+            }
+          },
+          when: { type: ["object", "array"] }
+        }
+      }
+    }
+  }
+};
+
+export function isCustomField(key) {
+  return !Object.hasOwn(BUILTIN, key);
+}
+
+function conditionsOf(field) {
+  if (!field?.when) return [];
+  return Array.isArray(field.when) ? field.when : [field.when];
+}
+
+/**
+ * Revisa forma (JSON Schema) y reglas del flujo.
+ * @returns {{ ok: boolean, errors: string[] }}
+ */
+export function validateFlowDefinition(def) {
+  const { errors } = validateJsonSchema(def, FLOW_SCHEMA);
+  if (errors.length) return { ok: false, errors };
+
+  const seen = new Set();
+  def.fields.forEach((f, i) => {
+    const at = `$.fields[${i}]`;
+    if (!KEY_RE.test(f.key)) errors.push(`${at}.key: invalid key "${f.key}"`);
+    if (seen.has(f.key)) errors.push(`${at}.key: duplicated "${f.key}"`);
+
+    if (isCustomField(f.key)) {
+      if (!f.kind) errors.push(`${at}.kind: required for custom field "${f.key}"`);
+      if (!f.prompt) errors.push(`${at}.prompt: required for custom field "${f.key}"`);
+      if (f.kind === "choice" && !f.choices?.length) errors.push(`${at}.choices: required for kind "choice"`);
+    } else if (f.kind || f.choices) {
+      errors.push(`${at}: "${f.key}" is a built-in field; kind/choices can't be changed`);
+    }
+
+    conditionsOf(f).forEach((c, j) => {
+      const cAt = Array.isArray(f.when) ? `${at}.when[${j}]` : `${at}.when`;
+      const r = validateJsonSchema(c, CONDITION_SCHEMA);
+      errors.push(...r.errors.map((e) => e.replace(/^\$/, cAt)));
+      // La condición solo puede depender de algo que ya se preguntó
+      if (c.field && !seen.has(c.field)) errors.push(`${cAt}.field: "${c.field}" must be defined before "${f.key}"`);
+      if (["equals", "notEquals", "in"].filter((k) => k in c).length !== 1) {
+        errors.push(`${cAt}: use exactly one of equals | notEquals | in`);
+      }
+    });
+
+    seen.add(f.key);
+  });
+
+  for (const key of ALWAYS_REQUIRED) {
+    const f = def.fields.find((x) => x.key === key);
+    if (!f) errors.push(`$.fields: "${key}" is required`);
+    else if (f.required === false || f.when) errors.push(`$.fields: "${key}" must be required and unconditional`);
+  }
+
+  return { ok: errors.length === 0, errors };
+}
+
+// Campo del flujo con los defaults de los campos base
+function normalizeField(f) {
+  const base = BUILTIN[f.key] || {};
+  const field = { ...base, ...f, required: f.required ?? base.required ?? true };
+  if (f.key === "city" && field.prompt === BUILTIN.city.prompt) field.openPrompt = CITY_OPEN_PROMPT;
+  return field;
+}
+
+/**
+ * Flujo de la empresa ya normalizado. Si el guardado no es válido se usa el default
+ * (el bot nunca se queda sin preguntas por una mala configuración).
+ * @returns {{ fields: Object[], custom: boolean }}
+ */
+export function getCompanyFlow(company) {
+  const def = company?.flowDefinition;
+  if (def) {
+    const v = validateFlowDefinition(def);
+    if (v.ok) return { fields: def.fields.map(normalizeField), custom: true };
+    console.log("Invalid flowDefinition, using default:", company.id, v.errors);
+  }
+  return { fields: DEFAULT_FLOW.fields.map(normalizeField), custom: false };
+}
+
+export function flowField(flow, key) {
+  return flow?.fields.find((f) => f.key === key) || null;
+}
+
+/**
+ * Valor actual de un campo del flujo (Qualification / Lead / extra).
+ */
+export function fieldValue(q, lead, key) {
+  switch (key) {
+    case "height_m":
+      return q?.heightMeters ?? null;
+    case "type":
+      return q?.liftType || null;
+    case "activity":
+      return q?.activity || null;
+    case "terrain":
+      return String(q?.terrain || "").trim() || null;
+    case "city":
+      return String(q?.city || "").trim() || null;
+    case "transport_zone":
+      return q?.transportZoneId || null;
+    case "duration_days":
+      return q?.durationDays ?? null;
+    case "email":
+      return lead?.email || null;
+    default:
+      return q?.extra?.[key] ?? null;
+  }
+}
+
+function conditionHolds(c, q, lead) {
+  const v = fieldValue(q, lead, c.field);
+  // Sin dato todavía (o saltado) la condición no se cumple: el campo no se pregunta
+  if (v == null) return false;
+  if ("equals" in c) return String(v) === String(c.equals);
+  if ("notEquals" in c) return String(v) !== String(c.notEquals);
+  if ("in" in c) return c.in.map(String).includes(String(v));
+  return true;
+}
+
+export function fieldApplies(field, q, lead) {
+  return conditionsOf(field).every((c) => conditionHolds(c, q, lead));
+}
+
+function isSkipped(q, key) {
+  const skipped = q?.extra?.[SKIPPED_EXTRA_KEY];
+  return Array.isArray(skipped) && skipped.includes(key);
+}
+
+/**
+ * Faltantes en el orden del flujo. No cuentan: lo ya contestado, lo que no aplica por
+ * condición y los opcionales que el cliente dejó sin contestar.
+ * La zona solo falta cuando la ciudad tiene varias (zoneAmbiguous).
+ */
+export function missingFields(flow, q, lead, { zoneAmbiguous = false } = {}) {
+  const missing = [];
+  for (const field of flow.fields) {
+    if (field.key === "transport_zone" && !zoneAmbiguous) continue;
+    if (fieldValue(q, lead, field.key) != null) continue;
+    if (!fieldApplies(field, q, lead)) continue;
+    if (!field.required && isSkipped(q, field.key)) continue;
+    missing.push(field.key);
+  }
+  return missing;
+}
+
+function customChoiceId(field, value) {
+  return quickReplyId("custom", `${field.key}:${value}`);
+}
+
+/**
+ * Opciones (botones / lista) del campo: [{ id, title }]. Vacío => pregunta abierta.
+ */
+export function fieldChoices(lang, field, { knownCities = [], zoneCandidates = [] } = {}) {
+  const key = field.key;
+  if (CHOICE_VALUES[key]) {
+    return CHOICE_VALUES[key].map((v) => ({ id: quickReplyId(key, v), title: valueLabel(lang, key, v) }));
+  }
+  if (key === "duration_days") {
+    return DURATION_OPTIONS.map((d) => ({ id: quickReplyId(key, d), title: fmtDays(lang, d) }));
+  }
+  if (key === "city") return knownCities.map((c) => ({ id: quickReplyId("city", c), title: c }));
+  if (key === "transport_zone") return zoneCandidates.map((z) => ({ id: quickReplyId("zone", z.id), title: z.name }));
+  if (field.kind === "yes_no") {
+    return [
+      { id: customChoiceId(field, "yes"), title: t(lang, "confirm.yes") },
+      { id: customChoiceId(field, "no"), title: t(lang, "confirm.no") }
+    ];
+  }
+  if (field.kind === "choice") {
+    return field.choices.map((c) => ({ id: customChoiceId(field, c.value), title: localize(lang, c.label ?? String(c.value)) }));
+  }
+  return [];
+}
+
+/**
+ * Texto de la pregunta (o del reintento si la respuesta anterior no se entendió).
+ */
+export function fieldPrompt(lang, field, { retry = false, hasChoices = true, vars = {} } = {}) {
+  if (!hasChoices && field.openPrompt) return localize(lang, field.openPrompt, vars);
+  const key = retry && field.retryPrompt ? field.retryPrompt : field.prompt;
+  return key ? localize(lang, key, vars) : t(lang, "q.fallback");
+}
+
+export function fieldButtonText(lang, field) {
+  return localize(lang, field.buttonText || "q.choices_button");
+}
+
+function matchChoice(field, text) {
+  const n = normalizeText(text);
+  if (!n) return null;
+  for (const c of field.choices || []) {
+    const names = [String(c.value), ...(c.synonyms || [])];
+    if (c.label != null) names.push(...LANGUAGES.map((l) => localize(l, c.label)));
+    const hit = names.map(normalizeText).find((x) => x && (n === x || ` ${n} `.includes(` ${x} `)));
+    if (hit) return { value: c.value, rest: n === hit ? "" : n };
+  }
+  return null;
+}
+
+/**
+ * Respuesta a un campo propio de la empresa (botón o texto).
+ * `rest` es lo que sobra del mensaje para el extractor ("sí, y son 16 metros").
+ * @returns {{ value: any, rest: string } | null}
+ */
+export function parseCustomAnswer(field, { text, quickReply = null } = {}) {
+  if (!field || !isCustomField(field.key)) return null;
+
+  if (quickReply) {
+    if (quickReply.field !== "custom") return null;
+    const [key, ...parts] = String(quickReply.value).split(":");
+    const value = parts.join(":");
+    if (key !== field.key) return null;
+    if (field.kind === "yes_no") return value === "yes" || value === "no" ? { value: value === "yes", rest: "" } : null;
+    const choice = (field.choices || []).find((c) => String(c.value) === value);
+    return choice ? { value: choice.value, rest: "" } : null;
+  }
+
+  const raw = String(text || "").trim();
+  if (!raw) return null;
+
+  switch (field.kind) {
+    case "yes_no": {
+      const r = parseYesNo(raw);
+      return r ? { value: r.answer === "yes", rest: r.rest } : null;
+    }
+    case "choice":
+      return matchChoice(field, raw);
+    case "number": {
+      const m = raw.replace(/,/g, ".").match(/-?\d+(\.\d+)?/);
+      if (!m) return null;
+      return { value: Number(m[0]), rest: raw === m[0] ? "" : raw };
+    }
+    case "text":
+      return { value: raw.slice(0, 500), rest: "" };
+    default:
+      return null;
+  }
+}
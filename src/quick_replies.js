@@ -0,0 +1,133 @@
+/**
+ * src/quick_replies.js (ESM)
+ * Mensajes interactivos (reply buttons / listas) para preguntas de opción cerrada.
+ *
+ * Cada opción lleva un id "q:<campo>:<valor>" que regresa tal cual en
+ * interactive.button_reply / list_reply, así la respuesta se guarda directo
+ * en la Qualification sin pasar por el extractor.
+ */
+
+import { t, DEFAULT_LANGUAGE } from "./i18n.js";
+
+// Límites de WhatsApp Cloud API
+const MAX_BUTTONS = 3;
+const MAX_LIST_ROWS = 10;
+const BUTTON_TITLE_MAX = 20;
+const ROW_TITLE_MAX = 24;
+const LIST_BUTTON_MAX = 20;
+
+// "custom": campos propios del flujo de la empresa, id "q:custom:<llave>:<valor>"
+const QUICK_REPLY_FIELDS = ["type", "activity", "terrain", "duration_days", "city", "zone", "confirm", "custom"];
+
+function clip(s, max) {
+  const v = String(s ?? "").trim();
+  return v.length > max ? `${v.slice(0, max - 1)}…` : v;
+}
+
+export function quickReplyId(field, value) {
+  return `q:${field}:${value}`;
+}
+
+/**
+ * options: [{ id, title }] (máx. 3)
+ */
+export function buildButtons(body, options) {
+  return {
+    type: "button",
+    body: { text: body },
+    action: {
+      buttons: options.slice(0, MAX_BUTTONS).map((o) => ({
+        type: "reply",
+        reply: { id: o.id, title: clip(o.title, BUTTON_TITLE_MAX) }
+      }))
+    }
+  };
+}
+
+/**
+ * rows: [{ id, title, description? }] (máx. 10)
+ */
+export function buildList(body, buttonText, rows, { lang = DEFAULT_LANGUAGE } = {}) {
+  return {
+    type: "list",
+    body: { text: body },
+    action: {
+      button: clip(buttonText, LIST_BUTTON_MAX),
+      sections: [
+        {
+          title: t(lang, "q.choices_section"),
+          rows: rows.slice(0, MAX_LIST_ROWS).map((r) => ({
+            id: r.id,
+            title: clip(r.title, ROW_TITLE_MAX),
+            ...(r.description ? { description: clip(r.description, 72) } : {})
+          }))
+        }
+      ]
+    }
+  };
+}
+
+/**
+ * Hasta 3 opciones => botones; más => lista.
+ */
+export function buildChoices(body, options, buttonText = null, { lang = DEFAULT_LANGUAGE } = {}) {
+  if (!options?.length) return null;
+  if (options.length <= MAX_BUTTONS) return buildButtons(body, options);
+  return buildList(body, buttonText || t(lang, "q.choices_button"), options, { lang });
+}
+
+/**
+ * Lee button_reply / list_reply de un mensaje entrante.
+ * @returns {{ field: string, value: string, title: string } | null}
+ */
+export function parseQuickReply(msg) {
+  if (msg?.type !== "interactive") return null;
+  const reply = msg.interactive?.button_reply || msg.interactive?.list_reply;
+  const m = String(reply?.id || "").match(/^q:([a-z_]+):(.+)$/);
+  if (!m || !QUICK_REPLY_FIELDS.includes(m[1])) return null;
+
+  return { field: m[1], value: m[2], title: reply.title || m[2] };
+}
+
+/**
+ * Botones "Sí / No" para confirmar un valor pendiente (id "q:confirm:<campo>:yes|no").
+ */
+export function buildConfirmButtons(body, field, { lang = DEFAULT_LANGUAGE } = {}) {
+  const yes = t(lang, "confirm.yes");
+  const no = t(lang, "confirm.no");
+  return buildButtons(body, [
+    { id: quickReplyId("confirm", `${field}:yes`), title: yes },
+    { id: quickReplyId("confirm", `${field}:no`), title: no }
+  ]);
+}
+
+// "height_m:yes" => { field: "height_m", answer: "yes" }
+export function parseConfirmReply(reply) {
+  if (reply?.field !== "confirm") return null;
+  const m = String(reply.value).match(/^([a-z_]+):(yes|no)$/);
+  return m ? { field: m[1], answer: m[2] } : null;
+}
+
+/**
+ * Quick reply => mismo shape que el extractor (height_m, type, ...), para
+ * reutilizar patchQualificationFromExtract. "zone" se resuelve aparte (es un id).
+ */
+export function quickReplyToExtract(reply) {
+  if (!reply) return null;
+  switch (reply.field) {
+    case "type":
+      return ["BRAZO", "TIJERA"].includes(reply.value) ? { type: reply.value } : null;
+    case "activity":
+      return ["PINTURA", "GENERAL"].includes(reply.value) ? { activity: reply.value } : null;
+    case "terrain":
+      return ["PISO_FIRME", "TERRACERIA"].includes(reply.value) ? { terrain: reply.value } : null;
+    case "duration_days": {
+      const n = Number(reply.value);
+      return Number.isInteger(n) && n > 0 ? { duration_days: n } : null;
+    }
+    case "city":
+      return { city: reply.value };
+    default:
+      return null;
+  }
+}
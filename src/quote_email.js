@@ -0,0 +1,125 @@
+/**
+ * src/quote_email.js (ESM)
+ * Envía el PDF de la cotización al email del lead y registra intento / error en la Quote.
+ */
+
+import { prisma } from "./db.js";
+import { sendMail, isMailerConfigured } from "./mailer.js";
+import { companySetting } from "./crm.js";
+import { t, fmtDays, fmtMoney } from "./i18n.js";
+
+function escapeHtml(v) {
+  return String(v ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Mismos colores que el PDF (header #0b1220, acento #0ea5e9)
+function buildQuoteEmailHtml({ lang, brand, leadName, quoteNumber, rows, footer }) {
+  const rowsHtml = rows
+    .map(
+      ([label, value]) => `
+        <tr>
+          <td style="padding:6px 0;color:#334155;font-size:14px;">${escapeHtml(label)}</td>
+          <td style="padding:6px 0;color:#0f172a;font-size:14px;font-weight:bold;text-align:right;">${escapeHtml(value)}</td>
+        </tr>`
+    )
+    .join("");
+
+  return `<!doctype html>
+<html>
+  <body style="margin:0;padding:0;background:#f1f5f9;font-family:Helvetica,Arial,sans-serif;">
+    <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background:#f1f5f9;padding:24px 0;">
+      <tr><td align="center">
+        <table role="presentation" width="560" cellpadding="0" cellspacing="0" style="background:#ffffff;border-radius:12px;overflow:hidden;">
+          <tr><td style="background:#0b1220;padding:20px 24px;">
+            <div style="color:#ffffff;font-size:20px;font-weight:bold;">${escapeHtml(brand)}</div>
+            <div style="color:#cbd5e1;font-size:12px;margin-top:4px;">${escapeHtml(t(lang, "email.header", { number: quoteNumber }))}</div>
+          </td></tr>
+          <tr><td style="height:4px;background:#0ea5e9;"></td></tr>
+          <tr><td style="padding:24px;">
+            <p style="color:#0f172a;font-size:15px;margin:0 0 12px;">${escapeHtml(t(lang, "email.hello", { name: leadName ? ` ${leadName}` : "" }))}</p>
+            <p style="color:#334155;font-size:14px;margin:0 0 16px;">${escapeHtml(t(lang, "email.intro"))}</p>
+            <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="border-top:1px solid #e2e8f0;border-bottom:1px solid #e2e8f0;">
+              ${rowsHtml}
+            </table>
+            <p style="color:#64748b;font-size:12px;margin:16px 0 0;">${escapeHtml(footer)}</p>
+          </td></tr>
+        </table>
+      </td></tr>
+    </table>
+  </body>
+</html>`;
+}
+
+// Registrar el intento no debe tumbar el flujo: el PDF ya salió por WhatsApp y un
+// reintento del job lo mandaría doble
+async function recordEmailStatus(quoteId, data) {
+  try {
+    await prisma.quote.update({ where: { id: quoteId }, data });
+  } catch (e) {
+    console.log("Quote email status update failed:", quoteId, e);
+  }
+}
+
+/**
+ * Manda la cotización por email. Nunca lanza: el resultado queda en la Quote
+ * (emailStatus / emailAttempts / emailLastError) y también se regresa.
+ */
+export async function sendQuoteEmail({ company, lang = "es", quoteId, quoteNumber, leadName, to, pdfBuffer, filename, summary = {} }) {
+  const email = String(to || "").trim().toLowerCase();
+  if (!email) return { ok: false, error: "missing_email" };
+
+  if (!isMailerConfigured()) {
+    await recordEmailStatus(quoteId, { emailStatus: "SKIPPED", emailTo: email, emailLastError: "smtp_not_configured" });
+    return { ok: false, error: "smtp_not_configured" };
+  }
+
+  const brand = company?.legalName || company?.name || "VEXIQO";
+  const mxn = (n) => fmtMoney(lang, n);
+
+  const rows = [
+    [t(lang, "email.equipment"), summary.equipmentName || "—"],
+    [t(lang, "email.duration"), fmtDays(lang, summary.durationDays)],
+    [t(lang, "email.transport"), summary.transportManual ? t(lang, "email.to_be_quoted") : summary.transportZone || "—"],
+    [t(lang, "email.total"), mxn(summary.totalMx)],
+  ];
+  if (summary.paint) rows.push([t(lang, "email.paint_deposit"), mxn(summary.paint.depositMx)]);
+
+  const footer = t(lang, "email.footer");
+
+  const html = buildQuoteEmailHtml({ lang, brand, leadName, quoteNumber, rows, footer });
+  const text = [
+    t(lang, "email.hello", { name: leadName ? ` ${leadName}` : "" }),
+    "",
+    t(lang, "email.intro_text", { number: quoteNumber }),
+    ...rows.map(([k, v]) => `${k}: ${v}`),
+    "",
+    footer,
+  ].join("\n");
+
+  const res = await sendMail({
+    from: companySetting(company, "emailFrom", null),
+    replyTo: companySetting(company, "emailReplyTo", null),
+    to: email,
+    subject: t(lang, "email.subject", { number: quoteNumber, brand }),
+    text,
+    html,
+    attachments: [{ filename, content: pdfBuffer, contentType: "application/pdf" }],
+  });
+
+  const now = new Date();
+  await recordEmailStatus(quoteId, {
+    emailTo: email,
+    emailAttempts: { increment: 1 },
+    emailLastAttemptAt: now,
+    ...(res.ok
+      ? { emailStatus: "SENT", emailSentAt: now, emailMessageId: res.messageId, emailLastError: null }
+      : { emailStatus: "FAILED", emailLastError: res.error }),
+  });
+
+  if (!res.ok) console.log("Quote email failed:", quoteNumber, email, res.error);
+  return res;
+}
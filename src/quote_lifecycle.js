@@ -0,0 +1,170 @@
+/**
+ * src/quote_lifecycle.js (ESM)
+ * Ciclo de vida de cotizaciones: DRAFT -> SENT -> WON / LOST (o EXPIRED), con historial.
+ */
+
+import { prisma } from "./db.js";
+
+// Transiciones permitidas. WON/LOST/EXPIRED se pueden reabrir a SENT (cliente regresó).
+// SUPERSEDED es terminal y solo lo pone una revisión (quote_service), no la API.
+const ALLOWED_TRANSITIONS = {
+  DRAFT: ["SENT", "WON", "LOST", "EXPIRED"],
+  SENT: ["WON", "LOST", "EXPIRED"],
+  WON: ["SENT"],
+  LOST: ["SENT"],
+  EXPIRED: ["SENT", "WON", "LOST"],
+  SUPERSEDED: [],
+};
+
+// Vigencia de la cotización: la misma que dicen el PDF y el email ("Vigencia: 48 horas")
+export const QUOTE_VALIDITY_HOURS = 48;
+
+// Cotizaciones que siguen en pie (se les manda recordatorio y pueden vencer)
+export const OPEN_QUOTE_STATUSES = ["DRAFT", "SENT"];
+
+// Las que una revisión puede reemplazar (SUPERSEDED). WON/LOST conservan su resultado:
+// un cambio después de cerrarse sale como cotización nueva.
+export const REVISABLE_QUOTE_STATUSES = ["DRAFT", "SENT", "EXPIRED"];
+
+// Motivos aceptados (LOST requiere uno)
+export const QUOTE_STATUS_REASONS = [
+  "COMPETITOR", // se fue con la competencia
+  "PRICE", // precio alto
+  "NO_RESPONSE", // dejó de contestar
+  "NO_AVAILABILITY", // no teníamos equipo / fechas
+  "PROJECT_CANCELLED",
+  "OTHER",
+];
+
+const QUOTE_INCLUDE = {
+  items: { orderBy: { lineNo: "asc" } },
+  previousQuote: { select: { id: true, quoteNumber: true, status: true } },
+  nextRevision: { select: { id: true, quoteNumber: true, status: true } },
+  lead: { select: { id: true, name: true, phoneE164: true, email: true } },
+};
+
+function parseDate(v) {
+  if (!v) return null;
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+/**
+ * Listado con filtros: companyId, status (uno o "SENT,WON"), leadId, from/to (createdAt), quoteNumber (contiene).
+ */
+export async function listQuotes({ companyId, status, leadId, from, to, quoteNumber, limit = 50, offset = 0 } = {}) {
+  const where = {};
+  if (companyId) where.companyId = companyId;
+  if (leadId) where.leadId = leadId;
+
+  const statuses = String(status || "")
+    .split(",")
+    .map((s) => s.trim().toUpperCase())
+    .filter(Boolean);
+  if (statuses.length) where.status = { in: statuses };
+
+  const fromDate = parseDate(from);
+  const toDate = parseDate(to);
+  if (fromDate || toDate) {
+    where.createdAt = {};
+    if (fromDate) where.createdAt.gte = fromDate;
+    if (toDate) where.createdAt.lte = toDate;
+  }
+
+  if (quoteNumber) where.quoteNumber = { contains: String(quoteNumber), mode: "insensitive" };
+
+  const take = Math.min(Math.max(Number(limit) || 50, 1), 200);
+  const skip = Math.max(Number(offset) || 0, 0);
+
+  const [total, quotes] = await Promise.all([
+    prisma.quote.count({ where }),
+    prisma.quote.findMany({ where, include: QUOTE_INCLUDE, orderBy: { createdAt: "desc" }, take, skip }),
+  ]);
+
+  return { total, limit: take, offset: skip, quotes };
+}
+
+export async function getQuoteWithItems(quoteId) {
+  return prisma.quote.findUnique({
+    where: { id: quoteId },
+    include: {
+      ...QUOTE_INCLUDE,
+      statusChanges: { orderBy: { createdAt: "asc" } },
+    },
+  });
+}
+
+/**
+ * Cambia status validando transición y motivo. Guarda el cambio en el historial.
+ * @returns {{ ok: true, quote } | { ok: false, reason: string }}
+ */
+export async function changeQuoteStatus(quoteId, { status, reason, note, changedBy } = {}) {
+  const toStatus = String(status || "").trim().toUpperCase();
+  if (!ALLOWED_TRANSITIONS[toStatus] || toStatus === "SUPERSEDED") return { ok: false, reason: "invalid_status" };
+
+  const cleanReason = reason ? String(reason).trim().toUpperCase() : null;
+  if (cleanReason && !QUOTE_STATUS_REASONS.includes(cleanReason)) return { ok: false, reason: "invalid_reason" };
+  if (toStatus === "LOST" && !cleanReason) return { ok: false, reason: "reason_required" };
+
+  const quote = await prisma.quote.findUnique({ where: { id: quoteId } });
+  if (!quote) return { ok: false, reason: "not_found" };
+
+  if (!ALLOWED_TRANSITIONS[quote.status]?.includes(toStatus)) {
+    return { ok: false, reason: "invalid_transition", from: quote.status, to: toStatus };
+  }
+
+  const now = new Date();
+  const [updated] = await prisma.$transaction([
+    prisma.quote.update({
+      where: { id: quoteId },
+      data: {
+        status: toStatus,
+        statusChangedAt: now,
+        statusReason: cleanReason,
+        ...(toStatus === "SENT" && !quote.sentAt ? { sentAt: now } : {}),
+      },
+    }),
+    prisma.quoteStatusChange.create({
+      data: {
+        quoteId,
+        fromStatus: quote.status,
+        toStatus,
+        reason: cleanReason,
+        note: note ? String(note).slice(0, 1000) : null,
+        changedBy: changedBy || null,
+      },
+    }),
+  ]);
+
+  return { ok: true, quote: updated };
+}
+
+/**
+ * Marca SENT cuando el PDF salió bien por WhatsApp. Solo desde DRAFT:
+ * reenviar una cotización ya SENT/WON/LOST no cambia su status.
+ */
+export async function markQuoteSent(quoteId, { wamid } = {}) {
+  const quote = await prisma.quote.findUnique({ where: { id: quoteId }, select: { status: true } });
+  if (!quote || quote.status !== "DRAFT") return null;
+
+  return changeQuoteStatus(quoteId, {
+    status: "SENT",
+    note: wamid ? `wamid: ${wamid}` : null,
+    changedBy: "system:whatsapp",
+  });
+}
+
+/**
+ * Vigencia vencida (la llama el scheduler). Solo si sigue abierta: una ganada,
+ * perdida o reemplazada no cambia.
+ */
+export async function expireQuote(quoteId) {
+  const quote = await prisma.quote.findUnique({ where: { id: quoteId }, select: { status: true } });
+  if (!quote || !OPEN_QUOTE_STATUSES.includes(quote.status)) return null;
+
+  return changeQuoteStatus(quoteId, {
+    status: "EXPIRED",
+    note: `Vigencia de ${QUOTE_VALIDITY_HOURS} h vencida`,
+    changedBy: "system:scheduler",
+  });
+}
@@ -0,0 +1,69 @@
+/**
+ * src/quote_numbering.js (ESM)
+ * Folios de cotización: secuencia atómica por empresa y por año (tabla QuoteSequence).
+ *
+ * Formato configurable en Company.settings:
+ *   quoteNumberFormat  "{prefix}-{year}-{seq}" (default; con sucursal "{prefix}-{branch}-{year}-{seq}")
+ *   quotePrefix        "Q"
+ *   quotePadding       4
+ *   quoteBranchCode    null (ej: "SLT")
+ * Tokens: {prefix} {branch} {year} {yy} {seq}
+ */
+
+import { prisma } from "./db.js";
+import { companySetting } from "./crm.js";
+
+const DEFAULT_FORMAT = "{prefix}-{year}-{seq}";
+const DEFAULT_FORMAT_WITH_BRANCH = "{prefix}-{branch}-{year}-{seq}";
+
+export function formatQuoteNumber({ prefix = "Q", branch = null, year, seq, padding = 4, format = null }) {
+  const template = format || (branch ? DEFAULT_FORMAT_WITH_BRANCH : DEFAULT_FORMAT);
+  const pad = Math.min(Math.max(Number(padding) || 4, 1), 10);
+
+  return template
+    .replace(/\{prefix\}/g, String(prefix ?? ""))
+    .replace(/\{branch\}/g, String(branch ?? ""))
+    .replace(/\{year\}/g, String(year))
+    .replace(/\{yy\}/g, String(year).slice(-2))
+    .replace(/\{seq\}/g, String(seq).padStart(pad, "0"))
+    .replace(/-{2,}/g, "-") // sucursal vacía en un formato que la incluye
+    .replace(/^-|-$/g, "");
+}
+
+/**
+ * Siguiente valor de la secuencia (companyId, year). El increment corre en la BD
+ * (UPDATE ... SET lastValue = lastValue + 1), así dos cotizaciones simultáneas nunca
+ * reciben el mismo número. Si la creación de la Quote falla después, queda un hueco (ok).
+ */
+export async function nextSequenceValue(companyId, year) {
+  for (let attempt = 0; attempt < 3; attempt++) {
+    try {
+      const row = await prisma.quoteSequence.upsert({
+        where: { companyId_year: { companyId, year } },
+        create: { companyId, year, lastValue: 1 },
+        update: { lastValue: { increment: 1 } }
+      });
+      return row.lastValue;
+    } catch (e) {
+      // Primera cotización del año en paralelo: ambos intentan el INSERT, uno pierde => reintenta como UPDATE
+      if (e?.code !== "P2002") throw e;
+    }
+  }
+  throw new Error(`nextSequenceValue: could not allocate sequence for ${companyId}/${year}`);
+}
+
+export async function nextQuoteNumber(company, at = new Date()) {
+  if (!company?.id) throw new Error("nextQuoteNumber: company is required");
+
+  const year = at.getFullYear();
+  const seq = await nextSequenceValue(company.id, year);
+
+  return formatQuoteNumber({
+    prefix: companySetting(company, "quotePrefix", "Q"),
+    branch: companySetting(company, "quoteBranchCode", null),
+    year,
+    seq,
+    padding: companySetting(company, "quotePadding", 4),
+    format: companySetting(company, "quoteNumberFormat", null)
+  });
+}
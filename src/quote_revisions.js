@@ -0,0 +1,81 @@
+/**
+ * src/quote_revisions.js (ESM)
+ * Cambios después de cotizar ("mejor 10 días", "ahora en Apodaca"):
+ * se comparan contra la Qualification con la que salió la última cotización
+ * y, si algo cambió, se emite una revisión (Q-2026-0007-R2) que reemplaza a la anterior.
+ */
+
+import { prisma } from "./db.js";
+import { metersToFeet } from "./parse.js";
+import { t, fmtDays, valueLabel } from "./i18n.js";
+
+// Campos de Qualification que cambian la cotización (orden = orden en el mensaje).
+// La etiqueta sale del catálogo: "rev.<key>".
+const REVISION_FIELDS = [
+  { key: "heightMeters", fmt: (lang, v) => `${v} m (${metersToFeet(v)} ft)` },
+  { key: "liftType", fmt: (lang, v) => valueLabel(lang, "type", v) },
+  { key: "activity", fmt: (lang, v) => valueLabel(lang, "activity", v) },
+  { key: "terrain", fmt: (lang, v) => valueLabel(lang, "terrain", v) },
+  { key: "city", fmt: (lang, v) => v },
+  { key: "durationDays", fmt: (lang, v) => fmtDays(lang, v) }
+];
+
+function sameValue(a, b) {
+  if (a == null || b == null) return a == null && b == null;
+  if (typeof a === "number" || typeof b === "number") return Number(a) === Number(b);
+  return String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+}
+
+/**
+ * Última cotización no reemplazada de la conversación (puede estar WON / LOST / EXPIRED:
+ * quien la usa decide si se revisa, ver REVISABLE_QUOTE_STATUSES).
+ */
+export async function findLatestQuoteForConversation(conversationId) {
+  if (!conversationId) return null;
+  return prisma.quote.findFirst({
+    where: { conversationId, status: { not: "SUPERSEDED" } },
+    orderBy: { createdAt: "desc" }
+  });
+}
+
+/**
+ * Diferencias entre la cotización anterior (su qualificationSnapshot) y la Qualification actual.
+ * `zone` es la zona resuelta hoy (o null => transporte por cotizar). Textos en `lang`.
+ *
+ * @returns {Array<{ field: string, label: string, from: string, to: string }>}
+ */
+export function diffForRevision(prevQuote, q, zone, lang = "es") {
+  const snap = prevQuote?.meta?.qualificationSnapshot || {};
+  const changes = [];
+
+  for (const f of REVISION_FIELDS) {
+    if (sameValue(snap[f.key], q?.[f.key])) continue;
+    changes.push({
+      field: f.key,
+      label: t(lang, `rev.${f.key}`),
+      from: snap[f.key] != null ? f.fmt(lang, snap[f.key]) : "—",
+      to: q?.[f.key] != null ? f.fmt(lang, q[f.key]) : "—"
+    });
+  }
+
+  // Zona dentro de la misma ciudad (si cambió la ciudad, la zona ya viene implícita)
+  const cityChanged = changes.some((c) => c.field === "city");
+  if (!cityChanged && (snap.transportZoneId || null) !== (zone?.id || null)) {
+    changes.push({
+      field: "transportZoneId",
+      label: t(lang, "rev.transportZoneId"),
+      from: prevQuote.transportZone || t(lang, "rev.to_be_quoted"),
+      to: zone?.name || t(lang, "rev.to_be_quoted")
+    });
+  }
+
+  return changes;
+}
+
+export function formatRevisionChanges(changes) {
+  return (changes || []).map((c) => `${c.label}: ${c.from} → ${c.to}`);
+}
+
+export function revisionQuoteNumber(rootQuoteNumber, revision) {
+  return `${rootQuoteNumber}-R${revision}`;
+}
@@ -6,24 +6,31 @@
 import { PrismaClient } from "@prisma/client";
 import { computeComparativeOptions } from "./pricing_engine_v2.js";
 import { generateQuotePdfBuffer } from "./pdf_quote.js";
+import { getActiveRateCard } from "./rate_cards.js";
+import { formatRevisionChanges, revisionQuoteNumber } from "./quote_revisions.js";
+import { nextQuoteNumber } from "./quote_numbering.js";
+import { t, fmtMoney, fmtDays, normalizeLanguage } from "./i18n.js";
+import { QUOTE_VALIDITY_HOURS, REVISABLE_QUOTE_STATUSES } from "./quote_lifecycle.js";
 
 const prisma = new PrismaClient();
 
-function mxn(n) {
-  const v = Number(n || 0);
-  return v.toLocaleString("es-MX", {
-    style: "currency",
-    currency: "MXN",
-    maximumFractionDigits: 0,
-  });
+// Partida en el idioma del lead: la solicitada + referencias 1 / 7 / 30 días
+function itemDescription(lang, days, requested) {
+  if (requested) return t(lang, "item.requested", { days: fmtDays(lang, days) });
+  if (days === 1) return t(lang, "item.ref_day");
+  if (days === 7) return t(lang, "item.ref_week");
+  if (days === 30) return t(lang, "item.ref_month");
+  return t(lang, "item.ref_other", { days: fmtDays(lang, days) });
 }
 
 // build one pricing option using the existing pricing engine (no duplicated logic)
-function computeSingleOption({ durationDays, equipmentModel, transportRoundTripMx, vatRate }) {
+function computeSingleOption({ durationDays, rateCard, equipmentModel, transportRoundTripMx, paint, vatRate }) {
   const res = computeComparativeOptions({
     durationDays,
+    rateCard,
     equipmentModel,
     transportRoundTripMx,
+    paint,
     vatRate,
   });
 
@@ -32,11 +39,13 @@ function computeSingleOption({ durationDays, equipmentModel, transportRoundTripM
   return res?.primary || null;
 }
 
-function buildOrderedOptions({ requestedDays, equipmentModel, transportRoundTripMx, vatRate }) {
+function buildOrderedOptions({ requestedDays, rateCard, equipmentModel, transportRoundTripMx, paint, vatRate }) {
   const req = computeSingleOption({
     durationDays: requestedDays,
+    rateCard,
     equipmentModel,
     transportRoundTripMx,
+    paint,
     vatRate,
   });
 
@@ -46,8 +55,10 @@ function buildOrderedOptions({ requestedDays, equipmentModel, transportRoundTrip
     .map((d) =>
       computeSingleOption({
         durationDays: d,
+        rateCard,
         equipmentModel,
         transportRoundTripMx,
+        paint,
         vatRate,
       })
     )
@@ -60,10 +71,13 @@ function buildOrderedOptions({ requestedDays, equipmentModel, transportRoundTrip
   return all.map((o) => ({
     durationDays: Number(o.durationDays),
     rentalBaseMx: Number(o.rentalBaseMx || 0),
+    paintSurchargeMx: Number(o.paintSurchargeMx || 0),
     transportMx: Number(o.transportMx || 0),
     subtotalMx: Number(o.subtotalMx || 0),
     vatMx: Number(o.vatMx || 0),
     totalMx: Number(o.totalMx || 0),
+    depositMx: Number(o.depositMx || 0),
+    totalDueMx: Number(o.totalDueMx || o.totalMx || 0),
   }));
 }
 
@@ -71,11 +85,17 @@ export async function createDraftQuoteWithPdf(input) {
   const {
     companyId,
     lead,
+    language = "es", // idioma del lead: PDF y condiciones
     durationDays,
+    site = null, // ubicación de la obra { lat, lng, address, name } (pin de WhatsApp)
     transportZone,
+    transportZoneId,
     transportRoundTripMx,
+    transportManual = false,
     equipment,
     meta,
+    revisionOf = null, // Quote anterior: esta cotización sale como su revisión
+    revisionChanges = null,
   } = input || {};
 
   if (!companyId) throw new Error("createDraftQuoteWithPdf: companyId is required");
@@ -87,15 +107,35 @@ export async function createDraftQuoteWithPdf(input) {
   }
 
   const equipmentModel = equipment?.equipmentModel || "45FT";
+  const lang = normalizeLanguage(language);
+  const mxn = (n) => fmtMoney(lang, n);
 
   // 1) Upsert lead
   const leadRecord = await upsertLead(companyId, lead);
 
-  // 2) Build ordered options: requested + 1/7/30 (no duplicates)
+  // 2) Rate card vigente para el modelo (BD, versionada)
+  const rateCard = await getActiveRateCard(companyId, equipmentModel);
+  if (!rateCard) {
+    throw new Error(`createDraftQuoteWithPdf: no active rate card for ${equipmentModel}`);
+  }
+
+  // Pintura: recargo % sobre la renta + depósito reembolsable (settings de la empresa)
+  const company = await prisma.company.findUnique({ where: { id: companyId } });
+  const isPaintJob = String(equipment?.activity || "").toUpperCase() === "PINTURA";
+  const paint = isPaintJob
+    ? {
+        surchargePct: Number(company?.paintSurchargePct ?? 15),
+        depositMx: Number(company?.paintDepositMxn ?? 7500),
+      }
+    : null;
+
+  // 3) Build ordered options: requested + 1/7/30 (no duplicates)
   const options = buildOrderedOptions({
     requestedDays: d,
+    rateCard,
     equipmentModel,
     transportRoundTripMx: Number(transportRoundTripMx || 0),
+    paint,
     vatRate: 0.16,
   });
 
@@ -103,60 +143,137 @@ export async function createDraftQuoteWithPdf(input) {
     throw new Error("createDraftQuoteWithPdf: pricing options empty");
   }
 
-  // 3) Quote number
-  const quoteNumber = await nextQuoteNumber(companyId);
+  // 4) Quote number (revisión => folio de la R1 + "-R<n>")
+  let quoteNumber;
+  let revision = 1;
+  let rootQuoteId = null;
+  let previousQuoteNumber = null;
+
+  if (revisionOf) {
+    rootQuoteId = revisionOf.rootQuoteId || revisionOf.id;
+    const root = revisionOf.rootQuoteId
+      ? await prisma.quote.findUnique({ where: { id: revisionOf.rootQuoteId }, select: { quoteNumber: true } })
+      : revisionOf;
+    if (!root) throw new Error(`createDraftQuoteWithPdf: root quote not found for ${revisionOf.id}`);
+
+    revision = Number(revisionOf.revision || 1) + 1;
+    quoteNumber = revisionQuoteNumber(root.quoteNumber, revision);
+    previousQuoteNumber = revisionOf.quoteNumber;
+  } else {
+    quoteNumber = await nextQuoteNumber(company || { id: companyId });
+  }
 
-  // 4) Persist Quote + QuoteItems as DRAFT
+  // 5) Persist Quote + QuoteItems as DRAFT (y la anterior queda SUPERSEDED en la misma transacción)
   const createdAtISO = new Date().toISOString();
+  const expiresAt = new Date(Date.parse(createdAtISO) + QUOTE_VALIDITY_HOURS * 60 * 60 * 1000);
 
-  const quote = await prisma.quote.create({
-    data: {
-      companyId,
-      leadId: leadRecord.id,
-      quoteNumber,
-      status: "DRAFT",
-      transportZone: transportZone || null,
-      transportRoundTripMx: Number(transportRoundTripMx || 0),
-      subtotalMx: options[0]?.subtotalMx ?? 0,
-      vatMx: options[0]?.vatMx ?? 0,
-      totalMx: options[0]?.totalMx ?? 0,
-      meta: meta || null,
-      items: {
-        create: options.map((opt, idx) => ({
-          lineNo: idx + 1,
-          description:
-            idx === 0
-              ? `Renta solicitada (${opt.durationDays} días)`
-              : opt.durationDays === 1
-              ? "Referencia: 1 día"
-              : opt.durationDays === 7
-              ? "Referencia: Semana (7 días)"
-              : opt.durationDays === 30
-              ? "Referencia: Mes (30 días)"
-              : `Referencia (${opt.durationDays} días)`,
-
-          durationDays: opt.durationDays,
-
-          // Prisma requiere unitPriceMx.
-          // Guardamos precio unitario por día.
-          unitPriceMx:
-            opt.durationDays && opt.durationDays > 0
-              ? Math.round(Number(opt.rentalBaseMx || 0) / Number(opt.durationDays))
-              : 0,
-
-          amountMx: opt.totalMx,
-        })),
+  const createQuote = () => prisma.$transaction(async (tx) => {
+    const created = await tx.quote.create({
+      data: {
+        companyId,
+        leadId: leadRecord.id,
+        quoteNumber,
+        status: "DRAFT",
+        language: lang,
+        expiresAt,
+        conversationId: meta?.conversationId || null,
+        revision,
+        rootQuoteId,
+        previousQuoteId: revisionOf?.id || null,
+        revisionChanges: revisionChanges?.length ? revisionChanges : undefined,
+        transportZone: transportZone || null,
+        transportRoundTripMx: Number(transportRoundTripMx || 0),
+        transportZoneId: transportZoneId || null,
+        transportManual: !!transportManual,
+        equipmentId: equipment?.equipmentId || null,
+        equipmentModel,
+        rateCardId: rateCard.id,
+        rateCardVersion: rateCard.version,
+        paintSurchargeMx: options[0]?.paintSurchargeMx ?? 0,
+        depositMx: options[0]?.depositMx ?? 0,
+        subtotalMx: options[0]?.subtotalMx ?? 0,
+        vatMx: options[0]?.vatMx ?? 0,
+        totalMx: options[0]?.totalMx ?? 0,
+        meta: meta || null,
+        items: {
+          create: [
+            ...options.map((opt, idx) => ({
+              lineNo: idx + 1,
+              description: itemDescription(lang, opt.durationDays, idx === 0),
+
+              durationDays: opt.durationDays,
+
+              // Prisma requiere unitPriceMx.
+              // Guardamos precio unitario por día.
+              unitPriceMx:
+                opt.durationDays && opt.durationDays > 0
+                  ? Math.round(Number(opt.rentalBaseMx || 0) / Number(opt.durationDays))
+                  : 0,
+
+              amountMx: opt.totalMx,
+            })),
+            // Depósito de pintura: línea aparte, reembolsable, sin IVA
+            ...(paint && paint.depositMx > 0
+              ? [
+                  {
+                    lineNo: options.length + 1,
+                    description: t(lang, "item.paint_deposit"),
+                    durationDays: 0,
+                    unitPriceMx: Math.round(paint.depositMx),
+                    amountMx: Math.round(paint.depositMx),
+                  },
+                ]
+              : []),
+          ],
+        },
       },
-    },
-    include: { items: true },
+      include: { items: true },
+    });
+
+    if (revisionOf) {
+      const now = new Date();
+      // Solo si sigue revisable (pudo cerrarse WON/LOST mientras tanto): si no, se deshace todo
+      const superseded = await tx.quote.updateMany({
+        where: { id: revisionOf.id, status: { in: REVISABLE_QUOTE_STATUSES } },
+        data: { status: "SUPERSEDED", statusChangedAt: now, supersededAt: now },
+      });
+      if (superseded.count !== 1) {
+        throw new Error(`createDraftQuoteWithPdf: quote ${revisionOf.quoteNumber} can't be revised (not ${REVISABLE_QUOTE_STATUSES.join("/")})`);
+      }
+      await tx.quoteStatusChange.create({
+        data: {
+          quoteId: revisionOf.id,
+          fromStatus: revisionOf.status,
+          toStatus: "SUPERSEDED",
+          note: `Reemplazada por ${quoteNumber}`,
+          changedBy: "system:revision",
+        },
+      });
+    }
+
+    return created;
   });
 
+  // Folios de antes de QuoteSequence (count + 1) pueden chocar con la secuencia nueva:
+  // si el folio ya existe se pide el siguiente. Las revisiones no reintentan (su folio es fijo).
+  let quote = null;
+  for (let attempt = 0; !quote; attempt++) {
+    try {
+      quote = await createQuote();
+    } catch (e) {
+      const folioTaken = e?.code === "P2002" && String(e?.meta?.target || "").includes("quoteNumber");
+      if (!folioTaken || revisionOf || attempt >= 20) throw e;
+      console.log("Quote number taken, allocating next:", quoteNumber);
+      quoteNumber = await nextQuoteNumber(company || { id: companyId });
+    }
+  }
+
   // ===== Terms (con nota inteligente si conviene subir 1–2 días) =====
   const termsBase = [
-    "Importe principal corresponde exactamente a la duración solicitada.",
-    "Precios sin IVA. IVA 16% por separado.",
-    "Transporte redondo según zona (si aplica).",
-    "Vigencia: 48 horas.",
+    t(lang, "terms.requested"),
+    t(lang, "terms.vat"),
+    t(lang, "terms.transport"),
+    t(lang, "terms.validity"),
   ];
 
   // Nota escalón: si d+1 o d+2 baja total
@@ -170,8 +287,10 @@ export async function createDraftQuoteWithPdf(input) {
     for (const candDays of candidates) {
       const cand = computeSingleOption({
         durationDays: candDays,
+        rateCard,
         equipmentModel,
         transportRoundTripMx: Number(transportRoundTripMx || 0),
+        paint,
         vatRate: 0.16,
       });
       const candTotal = Number(cand?.totalMx || 0);
@@ -188,18 +307,28 @@ export async function createDraftQuoteWithPdf(input) {
 
     if (best && (best.savingsMx >= 800 || best.savingsPct >= 0.03)) {
       const pct = Math.round(best.savingsPct * 100);
-      optimizedNote = `Optimización de tarifa: por estructura escalonada, al extender a ${best.days} días el total baja aprox. ${mxn(
-        best.savingsMx
-      )} (${pct}%). Si te interesa, lo ajustamos.`;
+      optimizedNote = t(lang, "terms.optimized", { days: best.days, savings: mxn(best.savingsMx), pct });
     }
   }
 
+  if (paint) {
+    termsBase.unshift(t(lang, "terms.paint", { pct: paint.surchargePct, deposit: mxn(paint.depositMx) }));
+  }
+
+  if (transportManual) {
+    termsBase.unshift(t(lang, "terms.transport_manual"));
+  }
+
   const terms = optimizedNote ? [optimizedNote, ...termsBase] : termsBase;
 
-  // 5) Generate PDF buffer
-  const company = await prisma.company.findUnique({ where: { id: companyId } }).catch(() => null);
+  if (previousQuoteNumber) {
+    terms.unshift(t(lang, "terms.revision", { previous: previousQuoteNumber }));
+  }
+
+  // 6) Generate PDF buffer
 
   const { buffer: pdfBuffer, filename } = await generateQuotePdfBuffer({
+    lang,
     company: company || {},
     lead: {
       name: leadRecord.name || null,
@@ -211,25 +340,38 @@ export async function createDraftQuoteWithPdf(input) {
       quoteNumber: quote.quoteNumber,
       createdAtISO,
       transportZone: transportZone || "",
+      transportManual: !!transportManual,
+      revision,
+      previousQuoteNumber,
+      revisionChanges: formatRevisionChanges(revisionChanges),
     },
     equipment: {
+      name: equipment?.name,
       type: equipment?.type,
       height_m: equipment?.height_m,
+      height_ft: equipment?.height_ft,
+      height_label: equipment?.height_label,
       terrain: equipment?.terrain,
       activity: equipment?.activity,
       city: equipment?.city,
     },
     options,
     requestedDays: d,
+    paint,
+    site,
     terms,
   });
 
   return {
     quoteId: quote.id,
     quoteNumber: quote.quoteNumber,
+    expiresAt,
     pdfBuffer,
     filename,
     options,
+    paint,
+    revision,
+    previousQuoteNumber,
   };
 }
 
@@ -256,10 +398,3 @@ async function upsertLead(companyId, lead) {
     },
   });
 }
-
-async function nextQuoteNumber(companyId) {
-  const year = new Date().getFullYear();
-  const count = await prisma.quote.count({ where: { companyId } });
-  const seq = String(count + 1).padStart(4, "0");
-  return `Q-${year}-${seq}`;
-}
@@ -0,0 +1,146 @@
+/**
+ * src/rate_cards.js (ESM)
+ * Tarifas de renta en BD (por empresa + modelo, versionadas por effectiveFrom).
+ */
+
+import { prisma } from "./db.js";
+
+// Tarifa con la que arranca una empresa nueva (doc maestro 45 ft, MXN SIN IVA).
+const DEFAULT_RATE_CARDS = {
+  "45FT": {
+    tiers: [
+      { minDays: 1, maxDays: 3, ratePerDayMx: 2300 },
+      { minDays: 4, maxDays: 7, ratePerDayMx: 2200 },
+      { minDays: 8, maxDays: 14, ratePerDayMx: 1800 },
+      { minDays: 15, maxDays: 21, ratePerDayMx: 1500 },
+      { minDays: 22, maxDays: null, ratePerDayMx: 1050 },
+    ],
+    bundles: [
+      { days: 7, priceMx: 15400 },
+      { days: 30, priceMx: 31500 },
+    ],
+  },
+};
+
+const WITH_LINES = {
+  tiers: { orderBy: { minDays: "asc" } },
+  bundles: { orderBy: { days: "asc" } },
+};
+
+export async function ensureDefaultRateCards(companyId) {
+  for (const [equipmentModel, card] of Object.entries(DEFAULT_RATE_CARDS)) {
+    const count = await prisma.rateCard.count({ where: { companyId, equipmentModel } });
+    if (count > 0) continue;
+
+    await createRateCardVersion(companyId, equipmentModel, {
+      effectiveFrom: new Date(),
+      ...card,
+    }).catch((e) => {
+      // Otro proceso la sembró al mismo tiempo (unique companyId+model+version)
+      if (e?.code !== "P2002") throw e;
+    });
+  }
+}
+
+/**
+ * Tarifa vigente a la fecha `at`: la de effectiveFrom más reciente que ya empezó.
+ */
+export async function getActiveRateCard(companyId, equipmentModel, at = new Date()) {
+  return prisma.rateCard.findFirst({
+    where: { companyId, equipmentModel, effectiveFrom: { lte: at } },
+    orderBy: [{ effectiveFrom: "desc" }, { version: "desc" }],
+    include: WITH_LINES,
+  });
+}
+
+/**
+ * Modelos que tienen tarifa vigente (sin tarifa no se puede cotizar en automático).
+ */
+export async function listPricedModels(companyId, at = new Date()) {
+  const rows = await prisma.rateCard.findMany({
+    where: { companyId, effectiveFrom: { lte: at } },
+    select: { equipmentModel: true },
+    distinct: ["equipmentModel"],
+  });
+  return rows.map((r) => r.equipmentModel);
+}
+
+/**
+ * Revisa tramos y paquetes antes de publicar (la API regresa estos errores como 400).
+ * @returns {{ ok: boolean, errors: string[] }}
+ */
+export function validateRateCardLines({ effectiveFrom, tiers, bundles } = {}) {
+  const errors = [];
+  if (effectiveFrom != null && Number.isNaN(new Date(effectiveFrom).getTime())) {
+    errors.push(`invalid effectiveFrom ${JSON.stringify(effectiveFrom)}`);
+  }
+
+  if (!Array.isArray(tiers) || tiers.length === 0) {
+    errors.push("at least one tier is required");
+  } else {
+    const sorted = [...tiers].sort((a, b) => a?.minDays - b?.minDays);
+    let expectedMin = 1;
+    for (const t of sorted) {
+      if (!Number.isInteger(t?.minDays) || t.minDays !== expectedMin) {
+        errors.push(`tiers must be contiguous from day 1 (expected minDays ${expectedMin})`);
+        break;
+      }
+      if (t.maxDays != null && (!Number.isInteger(t.maxDays) || t.maxDays < t.minDays)) {
+        errors.push(`invalid maxDays ${t.maxDays}`);
+        break;
+      }
+      if (!Number.isFinite(Number(t.ratePerDayMx)) || Number(t.ratePerDayMx) <= 0) {
+        errors.push(`invalid ratePerDayMx ${t.ratePerDayMx}`);
+      }
+      expectedMin = t.maxDays == null ? Infinity : t.maxDays + 1;
+    }
+    if (!errors.length && expectedMin !== Infinity) errors.push("last tier must be open-ended (maxDays null)");
+  }
+
+  if (bundles != null && !Array.isArray(bundles)) {
+    errors.push("bundles must be an array");
+  } else {
+    for (const b of bundles || []) {
+      if (!Number.isInteger(b?.days) || b.days <= 0 || !(Number(b.priceMx) > 0)) {
+        errors.push(`invalid bundle ${JSON.stringify(b)}`);
+      }
+    }
+  }
+
+  return { ok: errors.length === 0, errors };
+}
+
+/**
+ * Publica una versión nueva de tarifa. Las versiones anteriores no se tocan:
+ * las cotizaciones viejas siguen apuntando a la suya.
+ */
+export async function createRateCardVersion(companyId, equipmentModel, { effectiveFrom, tiers, bundles = [] }) {
+  const v = validateRateCardLines({ effectiveFrom, tiers, bundles });
+  if (!v.ok) throw new Error(`createRateCardVersion: ${v.errors.join("; ")}`);
+
+  const last = await prisma.rateCard.findFirst({
+    where: { companyId, equipmentModel },
+    orderBy: { version: "desc" },
+    select: { version: true },
+  });
+
+  return prisma.rateCard.create({
+    data: {
+      companyId,
+      equipmentModel,
+      version: (last?.version || 0) + 1,
+      effectiveFrom: effectiveFrom ? new Date(effectiveFrom) : new Date(),
+      tiers: {
+        create: tiers.map((t) => ({
+          minDays: t.minDays,
+          maxDays: t.maxDays ?? null,
+          ratePerDayMx: Math.round(Number(t.ratePerDayMx)),
+        })),
+      },
+      bundles: {
+        create: bundles.map((b) => ({ days: b.days, priceMx: Math.round(Number(b.priceMx)) })),
+      },
+    },
+    include: WITH_LINES,
+  });
+}
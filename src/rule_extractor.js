@@ -0,0 +1,171 @@
+/**
+ * src/rule_extractor.js (ESM)
+ * Extractor determinístico (sin LLM). Mismo shape que extractLeadFields:
+ * { name, email, height_m, height_ft, height_value, height_unit, height_kind, type, activity, terrain,
+ *   city, duration_days, confidence, field_confidence, missing }
+ * height_m / height_ft son altura de TRABAJO; height_value + height_unit es lo que dijo el cliente.
+ *
+ * `expectField` es la pregunta que el bot hizo (primer faltante): solo así un número
+ * suelto ("7") se interpreta como altura o como días.
+ */
+
+import { parseHeight } from "./parse.js";
+import { extractNameFromText } from "./flow.js";
+import { normalizeText, matchZones } from "./transport_zones.js";
+
+const EMAIL_RE = /[^\s@<>(),;:"]+@[^\s@<>(),;:"]+\.[a-z]{2,}/i;
+
+const WORD_NUMBERS = {
+  un: 1, una: 1, uno: 1, dos: 2, tres: 3, cuatro: 4, cinco: 5, seis: 6, siete: 7, ocho: 8, nueve: 9, diez: 10, quince: 15,
+  a: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, fifteen: 15
+};
+
+const TYPE_RULES = [
+  { value: "BRAZO", re: /\b(brazo|articulad[ao]|boom|telescopic[ao]?|articulating)\b/ },
+  { value: "TIJERA", re: /\b(tijera|tijeras|scissors?)\b/ }
+];
+
+const ACTIVITY_RULES = [
+  { value: "PINTURA", re: /\b(pintura|pintar|pintando|pintor|pintores|impermeabiliza\w*|paint|painting|painters?)\b/ },
+  {
+    value: "GENERAL",
+    re: /\b(general|mantenimiento|instalacion|instalar|limpieza|soldadura|soldar|electric\w*|luminarias?|revision|maintenance|install\w*|cleaning|welding|inspection)\b/
+  }
+];
+
+const TERRAIN_RULES = [
+  { value: "PISO_FIRME", re: /\b(piso firme|firme|concreto|pavimento|asfalto|loza|losa|nave|concrete|paved|asphalt|slab|warehouse)\b/ },
+  { value: "TERRACERIA", re: /\b(terraceria|tierra|grava|lodo|irregular|campo|obra negra|dirt|gravel|mud|rough|uneven)\b/ }
+];
+
+// Un solo valor por regla; si el texto menciona las dos opciones no adivinamos
+function pickOne(n, rules) {
+  const hits = rules.filter((r) => r.re.test(n)).map((r) => r.value);
+  return hits.length === 1 ? hits[0] : null;
+}
+
+function qty(s) {
+  const v = Number(s);
+  if (Number.isFinite(v)) return v;
+  return WORD_NUMBERS[s] ?? null;
+}
+
+/**
+ * "10 días", "2 semanas", "un mes", "una quincena" (o "10 days", "2 weeks", "a month").
+ * Número suelto solo si se preguntó por días.
+ */
+export function parseDurationDays(text, { bareNumber = false } = {}) {
+  const n = normalizeText(text);
+  if (!n) return null;
+
+  const num = `(\\d+|${Object.keys(WORD_NUMBERS).join("|")})`;
+  let m = n.match(new RegExp(`\\b${num} (dia|dias|day|days)\\b`));
+  if (m) return qty(m[1]);
+
+  m = n.match(new RegExp(`\\b${num} (semana|semanas|week|weeks)\\b`));
+  if (m) return qty(m[1]) * 7;
+
+  m = n.match(new RegExp(`\\b${num} (mes|meses|month|months)\\b`));
+  if (m) return qty(m[1]) * 30;
+
+  if (/\b(una )?quincena\b/.test(n)) return 15;
+  if (/\b(un )?fin de semana\b|\bweekend\b/.test(n)) return 2;
+
+  if (bareNumber) {
+    m = n.match(/^(\d{1,3})$/);
+    if (m && Number(m[1]) > 0) return Number(m[1]);
+  }
+  return null;
+}
+
+const YES_RE =
+  /^(claro que si|si|sip|simon|claro|correcto|exacto|asi es|ok|okay|okey|va|confirmo|afirmativo|eso|yes|yeah|yep|sure|correct|right)\b/;
+const NO_RE = /^(no|nop|nel|negativo|incorrecto|tampoco|nope|wrong)\b/;
+
+/**
+ * Respuesta a "¿Confirmas ...?". `rest` es lo que venga después ("no, son 14 pies" => "son 14 pies").
+ * @returns {{ answer: "yes"|"no", rest: string } | null}
+ */
+export function parseYesNo(text) {
+  const n = normalizeText(text);
+  const m = n.match(YES_RE) || n.match(NO_RE);
+  if (!m) return null;
+  return { answer: YES_RE.test(n) ? "yes" : "no", rest: n.slice(m[0].length).trim() };
+}
+
+/**
+ * @param {{ text: string, known?: Object, zones?: Object[], expectField?: string|null }} input
+ */
+export function extractLeadFieldsByRules({ text, known = {}, zones = [], expectField = null } = {}) {
+  const raw = String(text || "").trim();
+  const n = normalizeText(raw);
+
+  const out = {
+    name: null,
+    email: null,
+    height_m: null,
+    height_ft: null,
+    height_value: null,
+    height_unit: null,
+    height_kind: null,
+    type: null,
+    activity: null,
+    terrain: null,
+    city: null,
+    duration_days: null,
+    confidence: 0,
+    field_confidence: {},
+    missing: []
+  };
+  const conf = out.field_confidence;
+  if (!raw) {
+    out.missing = ["name", "email", "height_m", "type", "activity", "terrain", "city", "duration_days"];
+    return out;
+  }
+
+  const email = raw.match(EMAIL_RE);
+  if (email) out.email = email[0].toLowerCase();
+
+  // Sin el email para que "compras@empresa14m.com" no cuente como altura
+  const noEmail = email ? raw.replace(email[0], " ") : raw;
+
+  // Altura: con unidad siempre; número suelto solo si preguntamos altura
+  const bare = /^\s*\d+([.,]\d+)?\s*$/.test(noEmail);
+  // Número suelto = unidad adivinada (parseHeight: <= 25 metros, si no pies) => se confirma con el cliente
+  if (!bare || expectField === "height_m") {
+    const h = parseHeight(noEmail);
+    if (h.meters != null) {
+      out.height_m = h.meters;
+      out.height_ft = h.feet;
+      out.height_value = h.value;
+      out.height_unit = h.unit;
+      out.height_kind = h.kind;
+      conf.height_m = bare ? 0.5 : 0.95;
+    }
+  }
+
+  out.type = pickOne(n, TYPE_RULES);
+  out.activity = pickOne(n, ACTIVITY_RULES);
+  out.terrain = pickOne(n, TERRAIN_RULES);
+  if (out.type) conf.type = 0.9;
+  if (out.activity) conf.activity = 0.85;
+  if (out.terrain) conf.terrain = 0.85;
+
+  out.duration_days = parseDurationDays(noEmail, { bareNumber: expectField === "duration_days" });
+  if (out.duration_days != null) conf.duration_days = /^\s*\d+\s*$/.test(noEmail) ? 0.85 : 0.95;
+
+  const zoneRes = matchZones(zones, noEmail);
+  const cities = [...new Set(zoneRes.candidates.map((z) => z.city))];
+  if (cities.length === 1) {
+    out.city = cities[0];
+    conf.city = 0.9;
+  }
+
+  // Nombre: solo si aún no lo tenemos y el mensaje no trae otro dato (si no, "tijera" sería un nombre)
+  const found = ["email", "height_m", "type", "activity", "terrain", "city", "duration_days"].filter((k) => out[k] != null);
+  if (!known?.name && !found.length) out.name = extractNameFromText(raw);
+
+  out.missing = ["name", "email", "height_m", "type", "activity", "terrain", "city", "duration_days"].filter((k) => out[k] == null);
+  out.confidence = found.length || out.name ? 0.6 : 0;
+  return out;
+}
@@ -0,0 +1,256 @@
+/**
+ * src/scheduler.js (ESM)
+ * Seguimientos programados (tabla ScheduledMessage).
+ *
+ * - QUOTE_REMINDER: "tu cotización vence en X h" antes de que venza.
+ * - QUOTE_EXPIRY: al terminar la vigencia la cotización pasa a EXPIRED (no manda nada).
+ * - QUALIFICATION_NUDGE: empujón al lead que dejó de contestar a media calificación.
+ *
+ * Todo vive en BD: sobrevive reinicios y un poll periódico corre lo que ya tocaba.
+ * Los envíos se cancelan cuando el cliente escribe (cancelScheduledMessages) y se revisan
+ * otra vez al correr (cotización cerrada, bot en pausa... => CANCELLED sin mandar).
+ *
+ * WhatsApp solo deja mandar texto libre dentro de las 24 h desde el último mensaje del
+ * cliente: por eso el recordatorio sale 26 h antes del vencimiento (22 h después de cotizar).
+ */
+
+import { prisma } from "./db.js";
+import { companySetting, getConversationContext } from "./crm.js";
+import { replyText } from "./outbound.js";
+import { expireQuote, OPEN_QUOTE_STATUSES } from "./quote_lifecycle.js";
+import { t, normalizeLanguage, DEFAULT_LANGUAGE } from "./i18n.js";
+
+const REMINDER_HOURS_BEFORE = Number(process.env.QUOTE_REMINDER_HOURS_BEFORE ?? 26);
+const NUDGE_MINUTES = Number(process.env.QUALIFICATION_NUDGE_MINUTES ?? 60);
+const MAX_ATTEMPTS = Math.max(Number(process.env.SCHEDULER_MAX_ATTEMPTS || 3), 1);
+const STALE_RUNNING_MS = 5 * 60 * 1000;
+const POLL_MS = 30 * 1000;
+
+// Los que mandan mensaje: se cancelan cuando el cliente contesta (el vencimiento no)
+const SEND_KINDS = ["QUOTE_REMINDER", "QUALIFICATION_NUDGE"];
+
+let pollTimer = null;
+let polling = false;
+
+function backoffMs(attempts) {
+  return Math.min(30 * 60 * 1000, 60_000 * 2 ** (attempts - 1));
+}
+
+async function createScheduled({ companyId, conversationId, quoteId = null, kind, runAt }) {
+  return prisma.scheduledMessage.create({ data: { companyId, conversationId, quoteId, kind, runAt } });
+}
+
+/**
+ * Recordatorio + vencimiento de una cotización recién enviada.
+ * Setting de empresa quoteReminderHoursBefore (0 = sin recordatorio).
+ */
+export async function scheduleQuoteFollowUps(company, { quoteId, conversationId, expiresAt }) {
+  if (!expiresAt) return;
+  const base = { companyId: company.id, conversationId, quoteId };
+  await createScheduled({ ...base, kind: "QUOTE_EXPIRY", runAt: expiresAt });
+
+  const hours = Number(companySetting(company, "quoteReminderHoursBefore", REMINDER_HOURS_BEFORE));
+  const runAt = new Date(new Date(expiresAt).getTime() - hours * 60 * 60 * 1000);
+  if (hours > 0 && runAt > new Date()) {
+    await createScheduled({ ...base, kind: "QUOTE_REMINDER", runAt });
+  }
+}
+
+/**
+ * Empujón si el lead no contesta la pregunta que le acabamos de hacer. Cada pregunta
+ * reemplaza al anterior (uno solo pendiente por conversación).
+ * Setting de empresa qualificationNudgeMinutes (0 = sin empujón).
+ */
+export async function scheduleQualificationNudge(company, conversationId) {
+  await cancelScheduledMessages(conversationId, { kinds: ["QUALIFICATION_NUDGE"], reason: "RESCHEDULED" });
+
+  const minutes = Number(companySetting(company, "qualificationNudgeMinutes", NUDGE_MINUTES));
+  if (!(minutes > 0)) return;
+  await createScheduled({
+    companyId: company.id,
+    conversationId,
+    kind: "QUALIFICATION_NUDGE",
+    runAt: new Date(Date.now() + minutes * 60 * 1000)
+  });
+}
+
+/**
+ * Cancela lo pendiente de la conversación (default: los envíos, al contestar el cliente).
+ * @returns {Promise<number>} cuántos se cancelaron
+ */
+export async function cancelScheduledMessages(conversationId, { kinds = SEND_KINDS, reason = "CUSTOMER_REPLY" } = {}) {
+  const res = await prisma.scheduledMessage.updateMany({
+    where: { conversationId, status: "PENDING", kind: { in: kinds } },
+    data: { status: "CANCELLED", cancelReason: reason, cancelledAt: new Date() }
+  });
+  if (res.count) console.log("Scheduled cancelled:", conversationId, reason, res.count);
+  return res.count;
+}
+
+function leadLanguage(company, lead) {
+  return normalizeLanguage(lead?.language || companySetting(company, "defaultLanguage", DEFAULT_LANGUAGE));
+}
+
+// --- Handlers: { skip: motivo } => CANCELLED sin mandar; { messageId } => DONE ---
+
+async function runQuoteReminder(job) {
+  const quote = await prisma.quote.findUnique({ where: { id: job.quoteId } });
+  if (!quote || !OPEN_QUOTE_STATUSES.includes(quote.status)) return { skip: "QUOTE_CLOSED" };
+
+  const ctx = await getConversationContext(job.conversationId);
+  if (!ctx) return { skip: "NO_CONVERSATION" };
+  const { company, lead, ...convo } = ctx;
+  if (convo.botPaused) return { skip: "BOT_PAUSED" };
+
+  const hours = Math.max(1, Math.round((new Date(quote.expiresAt).getTime() - Date.now()) / (60 * 60 * 1000)));
+  const body = t(quote.language, "followup.quote_reminder", {
+    name: lead.name ? ` ${lead.name}` : "",
+    number: quote.quoteNumber,
+    hours
+  });
+
+  const sent = await replyText({ company, convo, to: lead.phoneE164, body });
+  return { messageId: sent.messageId };
+}
+
+async function runQuoteExpiry(job) {
+  const res = await expireQuote(job.quoteId);
+  if (!res) return { skip: "QUOTE_CLOSED" };
+  if (!res.ok) throw new Error(`runQuoteExpiry: ${res.reason}`);
+  console.log("Quote expired:", res.quote.quoteNumber);
+  return {};
+}
+
+async function runQualificationNudge(job) {
+  const ctx = await getConversationContext(job.conversationId);
+  if (!ctx) return { skip: "NO_CONVERSATION" };
+  const { company, lead, ...convo } = ctx;
+  if (convo.state !== "TECH_QUALIFICATION") return { skip: "NOT_QUALIFYING" };
+  if (convo.botPaused) return { skip: "BOT_PAUSED" };
+
+  const body = t(leadLanguage(company, lead), "followup.nudge", { name: lead.name ? ` ${lead.name}` : "" });
+  const sent = await replyText({ company, convo, to: lead.phoneE164, body });
+  return { messageId: sent.messageId };
+}
+
+const HANDLERS = {
+  QUOTE_REMINDER: runQuoteReminder,
+  QUOTE_EXPIRY: runQuoteExpiry,
+  QUALIFICATION_NUDGE: runQualificationNudge
+};
+
+/**
+ * Corre un programado. Lo toma solo si sigue PENDING (una cancelación o otro worker ganan).
+ */
+async function runScheduled(jobId) {
+  const claimed = await prisma.scheduledMessage.updateMany({
+    where: { id: jobId, status: "PENDING" },
+    data: { status: "RUNNING", attempts: { increment: 1 } }
+  });
+  if (claimed.count !== 1) return;
+
+  const job = await prisma.scheduledMessage.findUnique({ where: { id: jobId } });
+  try {
+    const handler = HANDLERS[job.kind];
+    if (!handler) throw new Error(`runScheduled: unknown kind ${job.kind}`);
+    const res = await handler(job);
+
+    await prisma.scheduledMessage.update({
+      where: { id: job.id },
+      data: res.skip
+        ? { status: "CANCELLED", cancelReason: res.skip, cancelledAt: new Date(), lastError: null }
+        : { status: "DONE", doneAt: new Date(), messageId: res.messageId || null, lastError: null }
+    });
+    console.log("Scheduled", res.skip ? `skipped (${res.skip}):` : "done:", job.kind, job.id);
+  } catch (e) {
+    const dead = job.attempts >= MAX_ATTEMPTS;
+    console.log("Scheduled error:", job.id, job.kind, `attempt ${job.attempts}/${MAX_ATTEMPTS}`, e);
+
+    await prisma.scheduledMessage.update({
+      where: { id: job.id },
+      data: {
+        status: dead ? "FAILED" : "PENDING",
+        lastError: String(e?.stack || e?.message || e).slice(0, 2000),
+        runAt: dead ? undefined : new Date(Date.now() + backoffMs(job.attempts)),
+        doneAt: dead ? new Date() : null
+      }
+    });
+  }
+}
+
+async function pollScheduled() {
+  if (polling) return;
+  polling = true;
+  try {
+    // RUNNING colgado (proceso murió a medio correr) => se vuelve a intentar
+    await prisma.scheduledMessage.updateMany({
+      where: { status: "RUNNING", updatedAt: { lt: new Date(Date.now() - STALE_RUNNING_MS) } },
+      data: { status: "PENDING" }
+    });
+
+    const due = await prisma.scheduledMessage.findMany({
+      where: { status: "PENDING", runAt: { lte: new Date() } },
+      orderBy: { runAt: "asc" },
+      select: { id: true },
+      take: 20
+    });
+
+    for (const { id } of due) {
+      await runScheduled(id).catch((e) => console.log("Scheduled run error:", id, e));
+    }
+  } catch (e) {
+    console.log("Scheduler poll error:", e);
+  } finally {
+    polling = false;
+  }
+}
+
+export function startScheduler() {
+  if (pollTimer) return;
+  pollTimer = setInterval(pollScheduled, POLL_MS);
+  pollTimer.unref();
+  pollScheduled();
+}
+
+// --- Admin ---
+
+export async function listScheduledMessages({ companyId, conversationId, quoteId, status, kind, limit = 50, offset = 0 } = {}) {
+  const where = {};
+  if (companyId) where.companyId = companyId;
+  if (conversationId) where.conversationId = conversationId;
+  if (quoteId) where.quoteId = quoteId;
+
+  const list = (v) =>
+    String(v || "")
+      .split(",")
+      .map((s) => s.trim().toUpperCase())
+      .filter(Boolean);
+  if (list(status).length) where.status = { in: list(status) };
+  if (list(kind).length) where.kind = { in: list(kind) };
+
+  const take = Math.min(Math.max(Number(limit) || 50, 1), 200);
+  const skip = Math.max(Number(offset) || 0, 0);
+
+  const [total, items] = await Promise.all([
+    prisma.scheduledMessage.count({ where }),
+    prisma.scheduledMessage.findMany({ where, orderBy: { runAt: "asc" }, take, skip })
+  ]);
+  return { total, limit: take, offset: skip, items };
+}
+
+/**
+ * Cancelación manual (admin). Solo PENDING.
+ * @returns {{ ok: true, item } | { ok: false, reason: string }}
+ */
+export async function cancelScheduledMessage(id, { reason = "ADMIN" } = {}) {
+  const item = await prisma.scheduledMessage.findUnique({ where: { id }, select: { id: true, status: true } });
+  if (!item) return { ok: false, reason: "not_found" };
+
+  const res = await prisma.scheduledMessage.updateMany({
+    where: { id, status: "PENDING" },
+    data: { status: "CANCELLED", cancelReason: reason, cancelledAt: new Date() }
+  });
+  if (res.count !== 1) return { ok: false, reason: "not_pending", status: item.status };
+
+  return { ok: true, item: await prisma.scheduledMessage.findUnique({ where: { id } }) };
+}
@@ -0,0 +1,178 @@
+/**
+ * src/transport_zones.js (ESM)
+ * Zonas de transporte por empresa: precio redondo (SIN IVA), ciudad y alias (colonias, parques, etc.)
+ * Match sin acentos y tolerante a typos ("Saltiyo", "Ramos Ariszpe").
+ */
+
+import { prisma } from "./db.js";
+import { matchZoneByLocation } from "./geo.js";
+
+// Zonas con las que arranca una empresa nueva (doc maestro).
+// Saltillo Sur va al mismo precio que Norte hasta que se defina su tarifa.
+const DEFAULT_ZONES = [
+  { name: "Ramos Arizpe", city: "Ramos Arizpe", roundTripMx: 2500, aliases: ["ramos"] },
+  { name: "Saltillo Norte", city: "Saltillo", roundTripMx: 2500, aliases: [] },
+  { name: "Saltillo Sur", city: "Saltillo", roundTripMx: 2500, aliases: [] },
+  { name: "Arteaga", city: "Arteaga", roundTripMx: 3000, aliases: [] },
+  { name: "Derramadero", city: "Derramadero", roundTripMx: 4500, aliases: [] },
+  { name: "Santa Catarina", city: "Santa Catarina", roundTripMx: 4500, aliases: [] },
+  { name: "Apodaca", city: "Apodaca", roundTripMx: 4500, aliases: [] },
+];
+
+export async function ensureDefaultZones(companyId) {
+  const count = await prisma.transportZone.count({ where: { companyId } });
+  if (count > 0) return;
+
+  await prisma.transportZone.createMany({
+    data: DEFAULT_ZONES.map((z) => ({ ...z, companyId })),
+    skipDuplicates: true,
+  });
+}
+
+export async function listActiveZones(companyId) {
+  await ensureDefaultZones(companyId);
+  return prisma.transportZone.findMany({
+    where: { companyId, active: true },
+    orderBy: [{ city: "asc" }, { name: "asc" }],
+  });
+}
+
+export async function getZoneById(zoneId) {
+  if (!zoneId) return null;
+  return prisma.transportZone.findUnique({ where: { id: zoneId } });
+}
+
+// --- Matching (puro) ---
+
+export function normalizeText(s) {
+  return String(s || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+function tokens(s) {
+  const n = normalizeText(s);
+  return n ? n.split(" ") : [];
+}
+
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  const prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let diag = prev[0];
+    prev[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const tmp = prev[j];
+      prev[j] = Math.min(prev[j] + 1, prev[j - 1] + 1, diag + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diag = tmp;
+    }
+  }
+  return prev[b.length];
+}
+
+// Palabras cortas deben ser exactas; largas toleran 1-2 typos
+function fuzzyEq(a, b) {
+  if (a === b) return true;
+  const len = Math.max(a.length, b.length);
+  if (len < 5) return false;
+  return levenshtein(a, b) <= (len >= 8 ? 2 : 1);
+}
+
+// ¿El término aparece (como secuencia de palabras) dentro del texto?
+function termMatches(textTokens, term) {
+  const tt = tokens(term);
+  if (!tt.length) return false;
+  for (let i = 0; i + tt.length <= textTokens.length; i++) {
+    if (tt.every((t, j) => fuzzyEq(textTokens[i + j], t))) return true;
+  }
+  return false;
+}
+
+/**
+ * Resuelve zona(s) para un texto (ciudad, colonia o dirección).
+ * - Nombre de zona o alias gana sobre ciudad, y el término más largo gana.
+ * - Ciudad con varias zonas => AMBIGUOUS (el bot pregunta cuál).
+ *
+ * @returns {{ status: "MATCH"|"AMBIGUOUS"|"NONE", zone?: Object, candidates: Object[] }}
+ */
+export function matchZones(zones, text) {
+  const textTokens = tokens(text);
+  if (!textTokens.length) return { status: "NONE", candidates: [] };
+
+  let bestSpecific = 0;
+  let specific = [];
+  const byCity = [];
+
+  for (const z of zones || []) {
+    for (const term of [z.name, ...(z.aliases || [])]) {
+      if (!termMatches(textTokens, term)) continue;
+      const n = tokens(term).length;
+      if (n > bestSpecific) {
+        bestSpecific = n;
+        specific = [z];
+      } else if (n === bestSpecific && !specific.includes(z)) {
+        specific.push(z);
+      }
+    }
+    if (termMatches(textTokens, z.city)) byCity.push(z);
+  }
+
+  const candidates = specific.length ? specific : byCity;
+  if (candidates.length === 1) return { status: "MATCH", zone: candidates[0], candidates };
+  if (candidates.length > 1) return { status: "AMBIGUOUS", candidates };
+  return { status: "NONE", candidates: [] };
+}
+
+/**
+ * Respuesta a "¿en qué zona de X?": compara contra lo que distingue a cada candidata
+ * (nombre sin la ciudad, alias) o contra el número de opción ("1", "2"...).
+ */
+export function pickZoneFromReply(candidates, replyText) {
+  const list = candidates || [];
+  const n = normalizeText(replyText);
+  if (!n) return null;
+
+  const idx = Number(n);
+  if (Number.isInteger(idx) && idx >= 1 && idx <= list.length) return list[idx - 1];
+
+  const replyTokens = n.split(" ");
+  const hits = list.filter((z) => {
+    const cityTokens = new Set(tokens(z.city));
+    const distinct = tokens(z.name).filter((t) => !cityTokens.has(t)).join(" ");
+    return [distinct, ...(z.aliases || [])].some((term) => termMatches(replyTokens, term));
+  });
+
+  return hits.length === 1 ? hits[0] : null;
+}
+
+/**
+ * Zona para la Qualification actual (ciudad acumulada + texto de este mensaje).
+ */
+export async function resolveZoneForQualification(companyId, q, replyText) {
+  const zones = await listActiveZones(companyId);
+  const res = matchZones(zones, q?.city);
+
+  if (res.status === "AMBIGUOUS" && replyText) {
+    const picked = pickZoneFromReply(res.candidates, replyText);
+    if (picked) return { status: "MATCH", zone: picked, candidates: res.candidates };
+  }
+
+  return res;
+}
+
+export async function listKnownCities(companyId) {
+  const zones = await listActiveZones(companyId);
+  return [...new Set(zones.map((z) => z.city))];
+}
+
+/**
+ * Zona para una ubicación compartida (geocercas de la empresa). null => sin geocerca que aplique.
+ */
+export async function resolveZoneForLocation(company, point) {
+  const zones = await listActiveZones(company.id);
+  const yard = company.yardLat != null && company.yardLng != null ? { lat: company.yardLat, lng: company.yardLng } : null;
+  return matchZoneByLocation(zones, point, yard);
+}
@@ -0,0 +1,28 @@
+import crypto from "node:crypto";
+
+/**
+ * Verifica la firma X-Hub-Signature-256 que Meta manda en cada POST del webhook.
+ * La firma es "sha256=<hex>" con HMAC-SHA256 del body CRUDO usando el App Secret.
+ *
+ * @returns {{ ok: boolean, reason?: string }}
+ */
+export function verifyMetaSignature({ rawBody, signatureHeader, appSecret }) {
+  if (!appSecret) return { ok: false, reason: "missing_app_secret" };
+  if (!rawBody || !rawBody.length) return { ok: false, reason: "missing_raw_body" };
+
+  const header = String(signatureHeader || "").trim();
+  if (!header) return { ok: false, reason: "missing_signature" };
+
+  const m = header.match(/^sha256=([a-f0-9]{64})$/i);
+  if (!m) return { ok: false, reason: "malformed_signature" };
+
+  const expected = crypto.createHmac("sha256", appSecret).update(rawBody).digest();
+  const received = Buffer.from(m[1], "hex");
+
+  // timingSafeEqual exige mismo largo (ya garantizado por el regex)
+  if (!crypto.timingSafeEqual(expected, received)) {
+    return { ok: false, reason: "signature_mismatch" };
+  }
+
+  return { ok: true };
+}
@@ -0,0 +1,221 @@
+/**
+ * src/whatsapp.js (ESM)
+ * Envíos por WhatsApp Cloud API (Graph).
+ *
+ * Todas las funciones reciben la Company (tenant) que envía y regresan
+ * { ok, status, wamid, data, retryable, retryAfterMs } para que quien llama pueda
+ * guardar el wamid en el Message OUTBOUND y cruzarlo con los webhooks de status.
+ * Aquí no se reintenta nada: eso lo hace el outbox (outbox.js).
+ *
+ * WHATSAPP_GRAPH_BASE_URL permite apuntar a un mock local (ej: http://localhost:4010/v22.0).
+ */
+
+const WHATSAPP_TOKEN = process.env.WHATSAPP_TOKEN;
+const PHONE_NUMBER_ID = process.env.WHATSAPP_PHONE_NUMBER_ID;
+
+const GRAPH_BASE = (process.env.WHATSAPP_GRAPH_BASE_URL || "https://graph.facebook.com/v22.0").replace(/\/+$/, "");
+
+// Credenciales del tenant; el env solo es fallback para la empresa default.
+function credentialsFor(company) {
+  return {
+    phoneNumberId: company?.waPhoneNumberId || PHONE_NUMBER_ID || null,
+    token: company?.waAccessToken || WHATSAPP_TOKEN || null
+  };
+}
+
+function notSent(reason) {
+  return { ok: false, status: null, wamid: null, data: null, reason, retryable: false, retryAfterMs: null };
+}
+
+// 429 (rate limit) y 5xx se reintentan; cualquier otro 4xx es error nuestro y no mejora reintentando,
+// salvo los códigos de throttling que Graph a veces manda con 400
+const RATE_LIMIT_CODES = new Set([4, 80007, 130429, 131048, 131056]);
+
+function isRetryable(status, data) {
+  return status === 429 || status >= 500 || RATE_LIMIT_CODES.has(Number(data?.error?.code));
+}
+
+/**
+ * Cuánto pide Graph que esperemos: Retry-After (segundos o fecha HTTP) o
+ * estimated_time_to_regain_access (minutos) de X-Business-Use-Case-Usage.
+ */
+function retryAfterFrom(resp) {
+  const ra = resp.headers.get("retry-after");
+  if (ra) {
+    const secs = Number(ra);
+    if (Number.isFinite(secs)) return Math.max(secs, 0) * 1000;
+    const at = Date.parse(ra);
+    if (!Number.isNaN(at)) return Math.max(at - Date.now(), 0);
+  }
+
+  try {
+    const usage = JSON.parse(resp.headers.get("x-business-use-case-usage") || "{}");
+    const minutes = Math.max(
+      0,
+      ...Object.values(usage)
+        .flat()
+        .map((u) => Number(u?.estimated_time_to_regain_access || 0))
+    );
+    if (minutes > 0) return minutes * 60 * 1000;
+  } catch {
+    // header malformado: sin pista, el outbox usa su backoff
+  }
+  return null;
+}
+
+// fetch que no lanza: un error de red cuenta como fallo reintentable
+async function graphFetch(url, init) {
+  try {
+    const resp = await fetch(url, init);
+    return { resp, data: await readJson(resp), error: null };
+  } catch (e) {
+    return { resp: null, data: null, error: String(e?.message || e) };
+  }
+}
+
+function failureFrom({ resp, data, error }, reason) {
+  if (!resp) return { ok: false, status: null, wamid: null, data: null, reason: error || reason, retryable: true, retryAfterMs: null };
+  return {
+    ok: false,
+    status: resp.status,
+    wamid: null,
+    data,
+    reason,
+    retryable: isRetryable(resp.status, data),
+    retryAfterMs: retryAfterFrom(resp)
+  };
+}
+
+async function readJson(resp) {
+  try {
+    return await resp.json();
+  } catch {
+    return null;
+  }
+}
+
+async function postMessage(creds, payload) {
+  const url = `${GRAPH_BASE}/${creds.phoneNumberId}/messages`;
+
+  const res = await graphFetch(url, {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${creds.token}`,
+      "Content-Type": "application/json"
+    },
+    body: JSON.stringify(payload)
+  });
+
+  const wamid = res.data?.messages?.[0]?.id || null;
+  if (res.resp?.ok && wamid) {
+    return { ok: true, status: res.resp.status, wamid, data: res.data, retryable: false, retryAfterMs: null };
+  }
+  return failureFrom(res, res.data?.error?.message || res.error || "graph_error");
+}
+
+export async function sendWhatsAppText(company, to, body) {
+  const creds = credentialsFor(company);
+  if (!creds.token || !creds.phoneNumberId) {
+    console.log("Missing WhatsApp token or phone_number_id for company:", company?.id);
+    return notSent("missing_credentials");
+  }
+
+  const result = await postMessage(creds, {
+    messaging_product: "whatsapp",
+    to,
+    type: "text",
+    text: { body }
+  });
+
+  console.log("Send response:", result.status, JSON.stringify(result.data));
+  return result;
+}
+
+/**
+ * Mensaje interactivo (reply buttons o lista). `interactive` ya viene armado
+ * (ver quick_replies.js). Si Graph lo rechaza, manda el body como texto
+ * (result.fallback = true) para que la pregunta llegue de todos modos.
+ */
+export async function sendWhatsAppInteractive(company, to, interactive) {
+  const creds = credentialsFor(company);
+  if (!creds.token || !creds.phoneNumberId) {
+    console.log("Missing WhatsApp token or phone_number_id for company:", company?.id);
+    return notSent("missing_credentials");
+  }
+
+  const result = await postMessage(creds, {
+    messaging_product: "whatsapp",
+    to,
+    type: "interactive",
+    interactive
+  });
+
+  console.log("Interactive send:", result.status, JSON.stringify(result.data));
+
+  if (!result.ok && result.status && !result.retryable) {
+    console.log("Interactive rejected. Falling back to text.");
+    const fallback = await sendWhatsAppText(company, to, interactive?.body?.text || "");
+    return { ...fallback, fallback: true };
+  }
+  return { ...result, fallback: false };
+}
+
+/**
+ * Envía un PDF como documento (WhatsApp Cloud API)
+ * Flujo: 1) upload media  2) send message document
+ * Si el upload falla regresa el error (retryable si fue 429 / 5xx / red) para que el outbox reintente.
+ */
+export async function sendWhatsAppDocument(company, to, pdfBuffer, filename, caption) {
+  const creds = credentialsFor(company);
+  if (!creds.token || !creds.phoneNumberId) {
+    console.log("Missing WhatsApp token or phone_number_id for company:", company?.id);
+    return notSent("missing_credentials");
+  }
+
+  if (!pdfBuffer || !filename) {
+    console.log("Missing pdfBuffer or filename for sendWhatsAppDocument");
+    return notSent("missing_document");
+  }
+
+  // 1) Upload media
+  const mediaUrl = `${GRAPH_BASE}/${creds.phoneNumberId}/media`;
+
+  const form = new FormData();
+  form.append("messaging_product", "whatsapp");
+
+  // Node 18+ soporta Blob/FormData global.
+  const blob = new Blob([pdfBuffer], { type: "application/pdf" });
+  form.append("file", blob, filename);
+
+  const media = await graphFetch(mediaUrl, {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${creds.token}`
+      // NO setear Content-Type; fetch lo genera con boundary
+    },
+    body: form
+  });
+
+  console.log("Media upload:", media.resp?.status ?? media.error, JSON.stringify(media.data));
+
+  const mediaId = media.data?.id;
+  if (!mediaId) {
+    console.log("Media upload failed (no id).");
+    return { ...failureFrom(media, "media_upload_failed"), fallback: false };
+  }
+
+  // 2) Send document message
+  const result = await postMessage(creds, {
+    messaging_product: "whatsapp",
+    to,
+    type: "document",
+    document: {
+      id: mediaId,
+      filename,
+      caption: caption || ""
+    }
+  });
+
+  console.log("Document send:", result.status, JSON.stringify(result.data));
+  return { ...result, fallback: false };
+}
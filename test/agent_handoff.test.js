@@ -0,0 +1,35 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { wantsHuman } from "../src/agent_handoff.js";
+
+test("piden a un humano de forma explícita", () => {
+  for (const text of [
+    "quiero hablar con un asesor",
+    "Quiero un agente",
+    "me pasas con una ejecutiva?",
+    "¿Puedo hablar con alguien?",
+    "comunícame con una persona por favor",
+    "prefiero una persona real",
+    "I want to talk to a human",
+    "can I speak with your sales rep",
+    "live agent please"
+  ]) {
+    assert.equal(wantsHuman(text), true, text);
+  }
+});
+
+test("palabras sueltas o de contexto no pausan el bot", () => {
+  for (const text of [
+    "necesito un agente limpiador",
+    "el agente de ventas me dijo que 3 días",
+    "asesor",
+    "humano",
+    "plataforma para una persona",
+    "¿me pueden llamar con el precio?",
+    "la necesito para mañana",
+    "",
+    null
+  ]) {
+    assert.equal(wantsHuman(text), false, String(text));
+  }
+});
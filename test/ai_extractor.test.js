@@ -0,0 +1,22 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+// El proveedor se crea al primer uso con la config del env
+process.env.LLM_PROVIDER = "stub";
+const { extractLeadFields } = await import("../src/ai_extractor.js");
+
+const ZONES = [{ id: "ra", name: "Ramos Arizpe", city: "Ramos Arizpe", aliases: ["ramos"] }];
+
+test("con el stub la salida pasa el schema y trae metros/pies de trabajo", async () => {
+  const out = await extractLeadFields({ text: "ocupo un brazo de 40 pies por 3 días", known: {} });
+  assert.equal(out.type, "BRAZO");
+  assert.equal(out.duration_days, 3);
+  assert.equal(out.height_unit, "ft");
+  assert.equal(out.height_ft, 40);
+  assert.ok(out.height_m > 12 && out.height_m < 12.3, String(out.height_m));
+});
+
+test("el stub usa las zonas de la empresa, igual que las reglas", async () => {
+  assert.equal((await extractLeadFields({ text: "es en ramos", known: {}, zones: ZONES })).city, "Ramos Arizpe");
+  assert.equal((await extractLeadFields({ text: "es en ramos", known: {} })).city, null);
+});
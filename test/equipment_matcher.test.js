@@ -0,0 +1,45 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { matchEquipment } from "../src/equipment_matcher.js";
+
+const CATALOG = [
+  { model: "45FT", liftType: "BRAZO", workingHeightM: 15.7, roughTerrain: true, fuelType: "DIESEL" },
+  { model: "26E", liftType: "TIJERA", workingHeightM: 9.8, roughTerrain: false, fuelType: "ELECTRICO" },
+  { model: "26RT", liftType: "TIJERA", workingHeightM: 9.8, roughTerrain: true, fuelType: "DIESEL" },
+  { model: "40RT", liftType: "TIJERA", workingHeightM: 14.2, roughTerrain: true, fuelType: "DIESEL" },
+  { model: "60FT", liftType: "BRAZO", workingHeightM: 20.3, roughTerrain: true, fuelType: "DIESEL", active: false }
+];
+
+const models = (res) => res.map((r) => r.equipment.model);
+
+test("sin altura válida no hay match", () => {
+  assert.deepEqual(matchEquipment(CATALOG, {}), []);
+  assert.deepEqual(matchEquipment(CATALOG, { heightMeters: 0 }), []);
+  assert.deepEqual(matchEquipment(CATALOG, null), []);
+});
+
+test("el que menos le sobra de altura va primero; los inactivos no entran", () => {
+  const res = matchEquipment(CATALOG, { heightMeters: 14 });
+  assert.deepEqual(models(res), ["40RT", "45FT"]);
+  assert.equal(Math.round(res[0].surplusM * 10) / 10, 0.2);
+});
+
+test("liftType filtra sin importar mayúsculas", () => {
+  assert.deepEqual(models(matchEquipment(CATALOG, { heightMeters: 9, liftType: "brazo" })), ["45FT"]);
+});
+
+test("terracería exige roughTerrain", () => {
+  assert.deepEqual(models(matchEquipment(CATALOG, { heightMeters: 9, liftType: "TIJERA", terrain: "TERRACERIA" })), [
+    "26RT",
+    "40RT"
+  ]);
+});
+
+test("a igual altura, piso firme prefiere eléctrico", () => {
+  const res = matchEquipment(CATALOG, { heightMeters: 9, liftType: "TIJERA", terrain: "PISO_FIRME" });
+  assert.deepEqual(models(res).slice(0, 2), ["26E", "26RT"]);
+});
+
+test("nada alcanza la altura => vacío", () => {
+  assert.deepEqual(matchEquipment(CATALOG, { heightMeters: 30 }), []);
+});
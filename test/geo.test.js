@@ -0,0 +1,59 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { haversineKm, pointInPolygon, isValidCoord, matchZoneByLocation } from "../src/geo.js";
+
+const YARD = { lat: 25.4232, lng: -101.0053 }; // Saltillo
+const RAMOS = { lat: 25.5408, lng: -100.9475 };
+const MONTERREY = { lat: 25.6866, lng: -100.3161 };
+
+const SQUARE = [
+  [25.5, -101.0],
+  [25.5, -100.9],
+  [25.6, -100.9],
+  [25.6, -101.0]
+];
+
+test("haversineKm", () => {
+  assert.equal(haversineKm(YARD, YARD), 0);
+  const km = haversineKm(YARD, MONTERREY);
+  assert.ok(km > 70 && km < 80, String(km));
+});
+
+test("pointInPolygon", () => {
+  assert.equal(pointInPolygon(RAMOS, SQUARE), true);
+  assert.equal(pointInPolygon(YARD, SQUARE), false);
+  assert.equal(pointInPolygon(RAMOS, SQUARE.slice(0, 2)), false);
+});
+
+test("isValidCoord", () => {
+  assert.equal(isValidCoord(25.4, -101), true);
+  assert.equal(isValidCoord(91, 0), false);
+  assert.equal(isValidCoord(0, -181), false);
+  assert.equal(isValidCoord(NaN, 0), false);
+});
+
+test("polígono gana; entre radios, el anillo más chico; sin geocerca que aplique => null", () => {
+  const zones = [
+    { id: "local", geofence: { type: "radius", maxKm: 25 } },
+    { id: "regional", geofence: { type: "radius", minKm: 0, maxKm: 120 } },
+    { id: "ramos", geofence: { type: "polygon", points: SQUARE } },
+    { id: "sin-geocerca", geofence: null }
+  ];
+  assert.equal(matchZoneByLocation(zones, RAMOS, YARD)?.id, "ramos");
+  assert.equal(matchZoneByLocation(zones, { lat: 25.45, lng: -101.05 }, YARD)?.id, "local");
+  assert.equal(matchZoneByLocation(zones, MONTERREY, YARD)?.id, "regional");
+  assert.equal(matchZoneByLocation(zones, { lat: 19.43, lng: -99.13 }, YARD), null);
+});
+
+test("radio sin centro ni patio no aplica; centro propio sí", () => {
+  const noCenter = [{ id: "local", geofence: { type: "radius", maxKm: 25 } }];
+  assert.equal(matchZoneByLocation(noCenter, YARD), null);
+
+  const mty = [{ id: "mty", geofence: { type: "radius", maxKm: 10, center: [MONTERREY.lat, MONTERREY.lng] } }];
+  assert.equal(matchZoneByLocation(mty, MONTERREY, YARD)?.id, "mty");
+});
+
+test("punto inválido => null", () => {
+  assert.equal(matchZoneByLocation([], null), null);
+  assert.equal(matchZoneByLocation([{ id: "x", geofence: { type: "radius", maxKm: 1e6 } }], { lat: 200, lng: 0 }, YARD), null);
+});
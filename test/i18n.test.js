@@ -0,0 +1,46 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { t, localize, valueLabel, fmtDays, fmtMoney, normalizeLanguage, detectLanguage } from "../src/i18n.js";
+
+test("normalizeLanguage", () => {
+  assert.equal(normalizeLanguage("en-US"), "en");
+  assert.equal(normalizeLanguage("EN"), "en");
+  assert.equal(normalizeLanguage("fr"), "es");
+  assert.equal(normalizeLanguage(null), "es");
+});
+
+test("t interpola y cae al español o a la llave", () => {
+  assert.equal(t("en", "days.other", { n: 3 }), "3 days");
+  assert.equal(t("fr", "days.other", { n: 3 }), "3 días");
+  assert.equal(t("en", "no.such.key"), "no.such.key");
+});
+
+test("localize: llave del catálogo, texto literal o { es, en }", () => {
+  assert.equal(localize("en", "q.choices_section"), "Options");
+  assert.equal(localize("en", "¿Color de la {thing}?", { thing: "plataforma" }), "¿Color de la plataforma?");
+  assert.equal(localize("en", { es: "Color", en: "Colour" }), "Colour");
+  assert.equal(localize("en", { es: "Color" }), "Color");
+  assert.equal(localize("es", null), "");
+});
+
+test("valueLabel, fmtDays y fmtMoney por idioma", () => {
+  assert.equal(valueLabel("en", "type", "BRAZO"), "Boom lift");
+  assert.equal(valueLabel("es", "type", "GRUA"), "GRUA");
+  assert.equal(fmtDays("es", 1), "1 día");
+  assert.equal(fmtDays("en", 1), "1 day");
+  assert.equal(fmtMoney("es", 12345.6), "$12,346");
+  assert.equal(fmtMoney("en", 12345), "MX$12,345");
+});
+
+test("detectLanguage", () => {
+  assert.equal(detectLanguage("Hi, I need a scissor lift"), "en");
+  assert.equal(detectLanguage("how much for a boom lift for two weeks?"), "en");
+  assert.equal(detectLanguage("Buenas tardes"), "es");
+  assert.equal(detectLanguage("necesito una plataforma de 12 metros"), "es");
+});
+
+test("detectLanguage sin señal suficiente => null", () => {
+  for (const text of ["14m", "ok", "Juan Pérez", "", null]) {
+    assert.equal(detectLanguage(text), null, String(text));
+  }
+});
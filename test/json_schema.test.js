@@ -0,0 +1,43 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { validateJsonSchema } from "../src/json_schema.js";
+
+const SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  required: ["height_m", "type", "missing"],
+  properties: {
+    height_m: { type: ["number", "null"] },
+    type: { type: ["string", "null"], enum: ["BRAZO", "TIJERA", null] },
+    duration_days: { type: ["integer", "null"] },
+    missing: { type: "array", items: { type: "string" } }
+  }
+};
+
+test("objeto válido (integer cuenta como number)", () => {
+  assert.deepEqual(validateJsonSchema({ height_m: 12, type: "TIJERA", duration_days: 7, missing: [] }, SCHEMA), {
+    ok: true,
+    errors: []
+  });
+  assert.equal(validateJsonSchema({ height_m: null, type: null, missing: ["city"] }, SCHEMA).ok, true);
+});
+
+test("tipos, enum, requeridos, extras e items", () => {
+  const res = validateJsonSchema(
+    { height_m: "12", type: "GRUA", duration_days: 1.5, extra: true, missing: ["city", 3] },
+    { ...SCHEMA, required: [...SCHEMA.required, "city"] }
+  );
+  assert.deepEqual(res.errors, [
+    "$.city: required",
+    "$.height_m: expected number|null, got string",
+    '$.type: "GRUA" not in enum',
+    "$.duration_days: expected integer|null, got number",
+    "$.extra: not allowed",
+    "$.missing[1]: expected string, got integer"
+  ]);
+});
+
+test("la raíz con el tipo equivocado no sigue revisando", () => {
+  assert.deepEqual(validateJsonSchema([], SCHEMA).errors, ["$: expected object, got array"]);
+  assert.deepEqual(validateJsonSchema(null, SCHEMA).errors, ["$: expected object, got null"]);
+});
@@ -0,0 +1,38 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { llmConfigFromEnv, createLlmProvider } from "../src/llm_providers.js";
+
+test("llmConfigFromEnv: defaults y overrides", () => {
+  assert.deepEqual(llmConfigFromEnv({}), {
+    provider: "openai",
+    model: "gpt-4o-mini",
+    baseUrl: null,
+    apiKey: null,
+    timeoutMs: 15000
+  });
+
+  const cfg = llmConfigFromEnv({
+    LLM_PROVIDER: "OpenAI_Compatible",
+    LLM_BASE_URL: "http://localhost:11434/v1/",
+    OPENAI_API_KEY: "sk-x",
+    LLM_TIMEOUT_MS: "5000"
+  });
+  assert.equal(cfg.provider, "openai_compatible");
+  assert.equal(cfg.baseUrl, "http://localhost:11434/v1");
+  assert.equal(cfg.apiKey, "sk-x");
+  assert.equal(cfg.timeoutMs, 5000);
+});
+
+test("createLlmProvider valida la config", () => {
+  assert.throws(() => createLlmProvider({ provider: "bard" }), /unknown provider "bard"/);
+  assert.throws(() => createLlmProvider({ provider: "openai" }), /missing LLM_API_KEY/);
+  assert.throws(() => createLlmProvider({ provider: "openai_compatible" }), /missing LLM_BASE_URL/);
+});
+
+test("el stub responde con respond(context)", async () => {
+  const llm = createLlmProvider({ provider: "stub", respond: (ctx) => ({ echo: ctx.text }) });
+  assert.equal(llm.name, "stub");
+  assert.deepEqual(await llm.extractJson({ name: "x", input: "", context: { text: "hola" } }), { echo: "hola" });
+
+  await assert.rejects(createLlmProvider({ provider: "stub" }).extractJson({ context: {} }), /missing respond/);
+});
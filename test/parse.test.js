@@ -0,0 +1,57 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { parseHeight, normalizeHeight, detectHeightKind, metersToFeet, formatHeight } from "../src/parse.js";
+
+test("parseHeight en metros", () => {
+  assert.deepEqual(parseHeight("necesito 14 metros"), { value: 14, unit: "m", kind: null, meters: 14, feet: 46 });
+  assert.equal(parseHeight("12,5 m").meters, 12.5);
+  assert.equal(parseHeight("15mts").meters, 15);
+});
+
+test("parseHeight en pies", () => {
+  assert.deepEqual(parseHeight("una de 45 ft"), { value: 45, unit: "ft", kind: null, meters: 13.7, feet: 45 });
+  assert.equal(parseHeight("40 pies").unit, "ft");
+  assert.equal(parseHeight("40'").unit, "ft");
+});
+
+test("altura de plataforma suma ~2 m para la de trabajo", () => {
+  const h = parseHeight("altura de plataforma 10 metros");
+  assert.equal(h.kind, "PLATFORM");
+  assert.equal(h.value, 10);
+  assert.equal(h.meters, 12);
+  assert.equal(parseHeight("altura de trabajo 10 m").kind, "WORKING");
+});
+
+test("número suelto: <= 25 metros, si no pies", () => {
+  assert.equal(parseHeight("12").unit, "m");
+  assert.equal(parseHeight("40").unit, "ft");
+  assert.equal(parseHeight("300").meters, null);
+});
+
+test("sin altura", () => {
+  assert.equal(parseHeight("hola").meters, null);
+  assert.equal(parseHeight("").meters, null);
+  assert.equal(parseHeight("somos 3 personas").meters, null);
+});
+
+test("normalizeHeight y detectHeightKind", () => {
+  assert.equal(normalizeHeight({ value: 0, unit: "m" }), null);
+  assert.equal(normalizeHeight({ value: 30, unit: "ft", kind: "PLATFORM" }).meters, 11.1);
+  assert.equal(detectHeightKind("Working height 40 ft"), "WORKING");
+  assert.equal(detectHeightKind("40 ft"), null);
+  assert.equal(metersToFeet(10), 33);
+});
+
+test("formatHeight: primero la unidad del cliente", () => {
+  assert.equal(formatHeight({ heightMeters: 14, heightFeet: 46, heightUnit: "m", heightValue: 14 }), "14 m (46 ft)");
+  assert.equal(formatHeight({ heightMeters: 13.7, heightFeet: 45, heightUnit: "ft", heightValue: 45 }), "45 ft (13.7 m)");
+  assert.equal(
+    formatHeight({ heightMeters: 12, heightFeet: 39, heightUnit: "m", heightValue: 10, heightKind: "PLATFORM" }),
+    "10 m (33 ft) de plataforma, 12 m (39 ft) de trabajo"
+  );
+  assert.equal(
+    formatHeight({ heightMeters: 12, heightFeet: 39, heightUnit: "m", heightValue: 10, heightKind: "PLATFORM" }, { compact: true, lang: "en" }),
+    "12 m / 39 ft working"
+  );
+  assert.equal(formatHeight({}), "—");
+});
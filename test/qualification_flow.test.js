@@ -0,0 +1,121 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_FLOW,
+  validateFlowDefinition,
+  getCompanyFlow,
+  missingFields,
+  fieldChoices,
+  fieldPrompt,
+  parseCustomAnswer
+} from "../src/qualification_flow.js";
+
+const OPERATOR = { key: "needs_operator", required: false, kind: "yes_no", prompt: { es: "¿Necesitas operador?", en: "Do you need an operator?" } };
+const COLOR = {
+  key: "color",
+  kind: "choice",
+  prompt: "¿Color?",
+  choices: [
+    { value: "rojo", label: { es: "Rojo", en: "Red" } },
+    { value: "azul", synonyms: ["marino"] }
+  ]
+};
+const CUSTOM_FLOW = {
+  fields: [
+    { key: "height_m" },
+    { key: "type" },
+    { key: "terrain", when: { field: "type", equals: "BRAZO" } },
+    { key: "duration_days" },
+    OPERATOR
+  ]
+};
+
+test("el flujo default y uno propio son válidos", () => {
+  assert.deepEqual(validateFlowDefinition(DEFAULT_FLOW), { ok: true, errors: [] });
+  assert.deepEqual(validateFlowDefinition(CUSTOM_FLOW), { ok: true, errors: [] });
+});
+
+test("errores de forma y de reglas", () => {
+  assert.deepEqual(validateFlowDefinition({ fields: [{ key: "height_m", extra: 1 }] }).errors, ["$.fields[0].extra: not allowed"]);
+
+  const { errors } = validateFlowDefinition({
+    fields: [
+      { key: "height_m" },
+      { key: "type", kind: "choice" },
+      { key: "Bad-Key", kind: "text", prompt: "x" },
+      { key: "height_m" },
+      { key: "mystery" },
+      { key: "color", kind: "choice", prompt: "x" },
+      { key: "terrain", when: { field: "city", equals: "Saltillo" } },
+      { key: "city", when: { field: "type", equals: "BRAZO", notEquals: "TIJERA" } }
+    ]
+  });
+  assert.deepEqual(errors, [
+    '$.fields[1]: "type" is a built-in field; kind/choices can\'t be changed',
+    '$.fields[2].key: invalid key "Bad-Key"',
+    '$.fields[3].key: duplicated "height_m"',
+    '$.fields[4].kind: required for custom field "mystery"',
+    '$.fields[4].prompt: required for custom field "mystery"',
+    '$.fields[5].choices: required for kind "choice"',
+    '$.fields[6].when.field: "city" must be defined before "terrain"',
+    "$.fields[7].when: use exactly one of equals | notEquals | in",
+    '$.fields: "duration_days" is required'
+  ]);
+});
+
+test("altura y días no pueden ser opcionales ni condicionales", () => {
+  const { errors } = validateFlowDefinition({ fields: [{ key: "height_m", required: false }, { key: "duration_days" }] });
+  assert.deepEqual(errors, ['$.fields: "height_m" must be required and unconditional']);
+});
+
+test("getCompanyFlow: default, propio o default si el guardado es inválido", () => {
+  assert.equal(getCompanyFlow(null).custom, false);
+  assert.equal(getCompanyFlow({ id: "c1", flowDefinition: CUSTOM_FLOW }).custom, true);
+
+  const log = console.log;
+  console.log = () => {};
+  try {
+    assert.equal(getCompanyFlow({ id: "c1", flowDefinition: { fields: [] } }).custom, false);
+  } finally {
+    console.log = log;
+  }
+});
+
+test("missingFields respeta orden, condiciones, zona y opcionales saltados", () => {
+  const flow = getCompanyFlow({ id: "c1", flowDefinition: CUSTOM_FLOW });
+  assert.deepEqual(missingFields(flow, {}, {}), ["height_m", "type", "duration_days", "needs_operator"]);
+  assert.deepEqual(missingFields(flow, { heightMeters: 12, liftType: "BRAZO" }, {}), ["terrain", "duration_days", "needs_operator"]);
+  assert.deepEqual(missingFields(flow, { heightMeters: 12, liftType: "TIJERA", durationDays: 3, extra: { _skipped: ["needs_operator"] } }, {}), []);
+
+  const def = getCompanyFlow(null);
+  const q = { heightMeters: 12, liftType: "TIJERA", activity: "GENERAL", terrain: "PISO_FIRME", city: "Saltillo", durationDays: 3 };
+  assert.deepEqual(missingFields(def, q, { email: "a@b.mx" }), []);
+  assert.deepEqual(missingFields(def, q, { email: "a@b.mx" }, { zoneAmbiguous: true }), ["transport_zone"]);
+});
+
+test("opciones y textos por idioma", () => {
+  const def = getCompanyFlow(null);
+  const city = def.fields.find((f) => f.key === "city");
+  assert.deepEqual(fieldChoices("en", def.fields.find((f) => f.key === "type")), [
+    { id: "q:type:BRAZO", title: "Boom lift" },
+    { id: "q:type:TIJERA", title: "Scissor lift" }
+  ]);
+  assert.deepEqual(fieldChoices("es", city, { knownCities: ["Saltillo"] }), [{ id: "q:city:Saltillo", title: "Saltillo" }]);
+  assert.match(fieldPrompt("es", city, { hasChoices: false }), /^¿En qué ciudad es el trabajo\?/);
+  assert.equal(fieldPrompt("en", OPERATOR), "Do you need an operator?");
+  assert.deepEqual(fieldChoices("en", COLOR).map((c) => c.title), ["Red", "azul"]);
+});
+
+test("parseCustomAnswer por botón y por texto", () => {
+  assert.deepEqual(parseCustomAnswer(OPERATOR, { quickReply: { field: "custom", value: "needs_operator:yes" } }), { value: true, rest: "" });
+  assert.equal(parseCustomAnswer(OPERATOR, { quickReply: { field: "custom", value: "color:rojo" } }), null);
+  assert.deepEqual(parseCustomAnswer(OPERATOR, { text: "no, y son 16 metros" }), { value: false, rest: "y son 16 metros" });
+
+  assert.deepEqual(parseCustomAnswer(COLOR, { text: "Red" }), { value: "rojo", rest: "" });
+  assert.deepEqual(parseCustomAnswer(COLOR, { text: "la quiero marino" }), { value: "azul", rest: "la quiero marino" });
+  assert.equal(parseCustomAnswer(COLOR, { text: "verde" }), null);
+
+  assert.deepEqual(parseCustomAnswer({ key: "floors", kind: "number" }, { text: "3" }), { value: 3, rest: "" });
+  assert.deepEqual(parseCustomAnswer({ key: "floors", kind: "number" }, { text: "son 2,5 pisos" }), { value: 2.5, rest: "son 2,5 pisos" });
+  assert.equal(parseCustomAnswer({ key: "height_m" }, { text: "12" }), null);
+});
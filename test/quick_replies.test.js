@@ -0,0 +1,79 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  quickReplyId,
+  buildChoices,
+  buildConfirmButtons,
+  parseQuickReply,
+  parseConfirmReply,
+  quickReplyToExtract
+} from "../src/quick_replies.js";
+
+const opts = (n) => Array.from({ length: n }, (_, i) => ({ id: quickReplyId("city", `C${i}`), title: `Ciudad ${i}` }));
+
+function incoming(kind, id, title) {
+  return { type: "interactive", interactive: { [kind]: { id, title } } };
+}
+
+test("hasta 3 opciones van como botones, con título recortado a 20", () => {
+  const msg = buildChoices("¿Qué tipo?", [{ id: "q:type:BRAZO", title: "Brazo articulado de pluma larga" }, ...opts(2)]);
+  assert.equal(msg.type, "button");
+  assert.equal(msg.action.buttons.length, 3);
+  assert.equal(msg.action.buttons[0].reply.title.length, 20);
+  assert.ok(msg.action.buttons[0].reply.title.endsWith("…"));
+});
+
+test("más de 3 => lista de máx. 10 filas, con textos por idioma", () => {
+  const es = buildChoices("¿Ciudad?", opts(12));
+  assert.equal(es.type, "list");
+  assert.equal(es.action.button, "Ver opciones");
+  assert.equal(es.action.sections[0].title, "Opciones");
+  assert.equal(es.action.sections[0].rows.length, 10);
+
+  const en = buildChoices("City?", opts(4), null, { lang: "en" });
+  assert.equal(en.action.button, "See options");
+  assert.equal(en.action.sections[0].title, "Options");
+});
+
+test("sin opciones no hay interactivo", () => {
+  assert.equal(buildChoices("x", []), null);
+});
+
+test("parseQuickReply lee button_reply y list_reply y descarta campos desconocidos", () => {
+  assert.deepEqual(parseQuickReply(incoming("button_reply", "q:terrain:PISO_FIRME", "Piso firme")), {
+    field: "terrain",
+    value: "PISO_FIRME",
+    title: "Piso firme"
+  });
+  assert.deepEqual(parseQuickReply(incoming("list_reply", "q:custom:color:rojo")), {
+    field: "custom",
+    value: "color:rojo",
+    title: "color:rojo"
+  });
+  assert.equal(parseQuickReply(incoming("button_reply", "q:password:x")), null);
+  assert.equal(parseQuickReply({ type: "text", text: { body: "q:type:BRAZO" } }), null);
+});
+
+test("botones de confirmación ida y vuelta", () => {
+  const msg = buildConfirmButtons("¿Son 12 m?", "height_m", { lang: "en" });
+  assert.deepEqual(
+    msg.action.buttons.map((b) => b.reply),
+    [
+      { id: "q:confirm:height_m:yes", title: "Yes" },
+      { id: "q:confirm:height_m:no", title: "No" }
+    ]
+  );
+  const reply = parseQuickReply(incoming("button_reply", msg.action.buttons[1].reply.id, "No"));
+  assert.deepEqual(parseConfirmReply(reply), { field: "height_m", answer: "no" });
+  assert.equal(parseConfirmReply({ field: "type", value: "BRAZO" }), null);
+});
+
+test("quickReplyToExtract valida el valor por campo", () => {
+  assert.deepEqual(quickReplyToExtract({ field: "type", value: "TIJERA" }), { type: "TIJERA" });
+  assert.equal(quickReplyToExtract({ field: "type", value: "GRUA" }), null);
+  assert.deepEqual(quickReplyToExtract({ field: "duration_days", value: "7" }), { duration_days: 7 });
+  assert.equal(quickReplyToExtract({ field: "duration_days", value: "0" }), null);
+  assert.deepEqual(quickReplyToExtract({ field: "city", value: "Saltillo" }), { city: "Saltillo" });
+  assert.equal(quickReplyToExtract({ field: "zone", value: "z1" }), null);
+  assert.equal(quickReplyToExtract(null), null);
+});
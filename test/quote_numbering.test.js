@@ -0,0 +1,24 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { formatQuoteNumber } from "../src/quote_numbering.js";
+
+test("formato default, con y sin sucursal", () => {
+  assert.equal(formatQuoteNumber({ year: 2026, seq: 7 }), "Q-2026-0007");
+  assert.equal(formatQuoteNumber({ prefix: "TSC", branch: "SLT", year: 2026, seq: 7 }), "TSC-SLT-2026-0007");
+});
+
+test("padding configurable y acotado a 1..10", () => {
+  assert.equal(formatQuoteNumber({ year: 2026, seq: 7, padding: 6 }), "Q-2026-000007");
+  assert.equal(formatQuoteNumber({ year: 2026, seq: 12345, padding: 2 }), "Q-2026-12345");
+  assert.equal(formatQuoteNumber({ year: 2026, seq: 1, padding: 50 }), "Q-2026-0000000001");
+  assert.equal(formatQuoteNumber({ year: 2026, seq: 1, padding: "x" }), "Q-2026-0001");
+});
+
+test("formato propio con {yy}", () => {
+  assert.equal(formatQuoteNumber({ prefix: "COT", year: 2026, seq: 42, format: "{prefix}{yy}/{seq}" }), "COT26/0042");
+});
+
+test("sucursal vacía en un formato que la incluye no deja guiones dobles", () => {
+  assert.equal(formatQuoteNumber({ year: 2026, seq: 3, format: "{prefix}-{branch}-{year}-{seq}" }), "Q-2026-0003");
+  assert.equal(formatQuoteNumber({ year: 2026, seq: 3, format: "{branch}-{year}-{seq}" }), "2026-0003");
+});
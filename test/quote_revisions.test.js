@@ -0,0 +1,49 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { diffForRevision, formatRevisionChanges, revisionQuoteNumber } from "../src/quote_revisions.js";
+
+const SNAPSHOT = {
+  heightMeters: 12,
+  liftType: "BRAZO",
+  activity: "GENERAL",
+  terrain: "PISO_FIRME",
+  city: "Saltillo",
+  durationDays: 7,
+  transportZoneId: "sn"
+};
+const PREV = { transportZone: "Saltillo Norte", meta: { qualificationSnapshot: SNAPSHOT } };
+const NORTE = { id: "sn", name: "Saltillo Norte" };
+
+test("sin cambios (mayúsculas y números como texto no cuentan)", () => {
+  assert.deepEqual(diffForRevision(PREV, { ...SNAPSHOT, city: " saltillo ", durationDays: "7" }, NORTE), []);
+});
+
+test("cambio de días y altura, con etiquetas por idioma", () => {
+  const changes = diffForRevision(PREV, { ...SNAPSHOT, durationDays: 10, heightMeters: 15 }, NORTE);
+  assert.deepEqual(formatRevisionChanges(changes), ["Altura: 12 m (39 ft) → 15 m (49 ft)", "Duración: 7 días → 10 días"]);
+
+  const en = diffForRevision(PREV, { ...SNAPSHOT, liftType: "TIJERA" }, NORTE, "en");
+  assert.deepEqual(formatRevisionChanges(en), ["Type: Boom lift → Scissor lift"]);
+});
+
+test("zona distinta en la misma ciudad", () => {
+  const changes = diffForRevision(PREV, SNAPSHOT, { id: "ss", name: "Saltillo Sur" });
+  assert.deepEqual(formatRevisionChanges(changes), ["Zona: Saltillo Norte → Saltillo Sur"]);
+
+  const unresolved = diffForRevision(PREV, SNAPSHOT, null);
+  assert.deepEqual(formatRevisionChanges(unresolved), ["Zona: Saltillo Norte → Por cotizar"]);
+});
+
+test("si cambió la ciudad la zona no se repite", () => {
+  const changes = diffForRevision(PREV, { ...SNAPSHOT, city: "Apodaca" }, { id: "ap", name: "Apodaca" });
+  assert.deepEqual(changes.map((c) => c.field), ["city"]);
+});
+
+test("valor que se quitó o que no estaba => —", () => {
+  const changes = diffForRevision({ meta: {} }, { durationDays: 3 }, null);
+  assert.deepEqual(formatRevisionChanges(changes), ["Duración: — → 3 días"]);
+});
+
+test("número de revisión", () => {
+  assert.equal(revisionQuoteNumber("Q-2026-0007", 2), "Q-2026-0007-R2");
+});
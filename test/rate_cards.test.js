@@ -0,0 +1,50 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { validateRateCardLines } from "../src/rate_cards.js";
+
+const TIERS = [
+  { minDays: 1, maxDays: 6, ratePerDayMx: 2500 },
+  { minDays: 7, maxDays: 27, ratePerDayMx: 1800 },
+  { minDays: 28, maxDays: null, ratePerDayMx: 1200 }
+];
+
+test("tramos contiguos desde el día 1 con el último abierto", () => {
+  assert.deepEqual(validateRateCardLines({ tiers: TIERS, bundles: [{ days: 7, priceMx: 12000 }] }), { ok: true, errors: [] });
+});
+
+test("el orden de los tramos no importa", () => {
+  assert.equal(validateRateCardLines({ tiers: [...TIERS].reverse() }).ok, true);
+});
+
+test("sin tramos", () => {
+  assert.deepEqual(validateRateCardLines({ tiers: [] }).errors, ["at least one tier is required"]);
+  assert.deepEqual(validateRateCardLines().errors, ["at least one tier is required"]);
+});
+
+test("hueco o traslape entre tramos", () => {
+  const gap = [TIERS[0], { ...TIERS[1], minDays: 8 }, TIERS[2]];
+  assert.match(validateRateCardLines({ tiers: gap }).errors[0], /contiguous from day 1 \(expected minDays 7\)/);
+
+  const lateStart = [{ minDays: 2, maxDays: null, ratePerDayMx: 100 }];
+  assert.match(validateRateCardLines({ tiers: lateStart }).errors[0], /expected minDays 1/);
+});
+
+test("el último tramo tiene que ser abierto", () => {
+  assert.deepEqual(validateRateCardLines({ tiers: TIERS.slice(0, 2) }).errors, ["last tier must be open-ended (maxDays null)"]);
+});
+
+test("maxDays menor que minDays y tarifa inválida", () => {
+  assert.deepEqual(validateRateCardLines({ tiers: [{ minDays: 1, maxDays: 0, ratePerDayMx: 100 }] }).errors, [
+    "invalid maxDays 0"
+  ]);
+  assert.deepEqual(validateRateCardLines({ tiers: [{ minDays: 1, maxDays: null, ratePerDayMx: 0 }] }).errors, [
+    "invalid ratePerDayMx 0"
+  ]);
+});
+
+test("paquetes y fecha de vigencia", () => {
+  assert.deepEqual(validateRateCardLines({ tiers: TIERS, bundles: {} }).errors, ["bundles must be an array"]);
+  assert.match(validateRateCardLines({ tiers: TIERS, bundles: [{ days: 0, priceMx: 10 }] }).errors[0], /invalid bundle/);
+  assert.match(validateRateCardLines({ tiers: TIERS, effectiveFrom: "mañana" }).errors[0], /invalid effectiveFrom/);
+  assert.equal(validateRateCardLines({ tiers: TIERS, effectiveFrom: "2026-01-01" }).ok, true);
+});
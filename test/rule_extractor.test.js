@@ -0,0 +1,80 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { parseDurationDays, parseYesNo, extractLeadFieldsByRules } from "../src/rule_extractor.js";
+
+const ZONES = [
+  { id: "sn", name: "Saltillo Norte", city: "Saltillo", aliases: [] },
+  { id: "ss", name: "Saltillo Sur", city: "Saltillo", aliases: [] },
+  { id: "ra", name: "Ramos Arizpe", city: "Ramos Arizpe", aliases: ["ramos"] }
+];
+
+test("parseDurationDays con unidad, en palabras y en inglés", () => {
+  assert.equal(parseDurationDays("la ocupo 10 días"), 10);
+  assert.equal(parseDurationDays("dos semanas"), 14);
+  assert.equal(parseDurationDays("un mes"), 30);
+  assert.equal(parseDurationDays("una quincena"), 15);
+  assert.equal(parseDurationDays("el fin de semana"), 2);
+  assert.equal(parseDurationDays("for three weeks"), 21);
+  assert.equal(parseDurationDays("a month"), 30);
+});
+
+test("parseDurationDays: número suelto solo si se preguntó por días", () => {
+  assert.equal(parseDurationDays("7"), null);
+  assert.equal(parseDurationDays("7", { bareNumber: true }), 7);
+  assert.equal(parseDurationDays("0", { bareNumber: true }), null);
+  assert.equal(parseDurationDays(""), null);
+});
+
+test("mensaje completo", () => {
+  const out = extractLeadFieldsByRules({
+    text: "Necesito una tijera de 12 metros para pintar en nave de concreto en Ramos, 2 semanas. compras@acme14m.com",
+    zones: ZONES
+  });
+  assert.equal(out.email, "compras@acme14m.com");
+  assert.equal(out.height_m, 12);
+  assert.equal(out.type, "TIJERA");
+  assert.equal(out.activity, "PINTURA");
+  assert.equal(out.terrain, "PISO_FIRME");
+  assert.equal(out.city, "Ramos Arizpe");
+  assert.equal(out.duration_days, 14);
+  assert.equal(out.name, null);
+  assert.deepEqual(out.missing, ["name"]);
+});
+
+test("si el texto menciona las dos opciones no adivina", () => {
+  const out = extractLeadFieldsByRules({ text: "no sé si brazo o tijera" });
+  assert.equal(out.type, null);
+});
+
+test("ciudad con varias zonas sí se guarda como ciudad", () => {
+  assert.equal(extractLeadFieldsByRules({ text: "en saltillo", zones: ZONES }).city, "Saltillo");
+  assert.equal(extractLeadFieldsByRules({ text: "en saltillo" }).city, null);
+});
+
+test("número suelto según la pregunta pendiente", () => {
+  assert.equal(extractLeadFieldsByRules({ text: "7" }).height_m, null);
+  assert.equal(extractLeadFieldsByRules({ text: "7" }).duration_days, null);
+
+  const height = extractLeadFieldsByRules({ text: "12", expectField: "height_m" });
+  assert.equal(height.height_m, 12);
+  assert.equal(height.field_confidence.height_m, 0.5);
+
+  assert.equal(extractLeadFieldsByRules({ text: "7", expectField: "duration_days" }).duration_days, 7);
+});
+
+test("texto vacío => todo faltante", () => {
+  const out = extractLeadFieldsByRules({ text: "   " });
+  assert.equal(out.confidence, 0);
+  assert.equal(out.missing.length, 8);
+});
+
+test("parseYesNo con lo que venga después", () => {
+  assert.deepEqual(parseYesNo("Sí"), { answer: "yes", rest: "" });
+  assert.deepEqual(parseYesNo("claro que sí, gracias"), { answer: "yes", rest: "gracias" });
+  assert.deepEqual(parseYesNo("No, son 14 pies"), { answer: "no", rest: "son 14 pies" });
+  assert.deepEqual(parseYesNo("yep"), { answer: "yes", rest: "" });
+  assert.equal(parseYesNo("noviembre"), null);
+  assert.equal(parseYesNo("sino 12 metros"), null);
+  assert.equal(parseYesNo("quizá"), null);
+  assert.equal(parseYesNo(""), null);
+});
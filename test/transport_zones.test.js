@@ -0,0 +1,50 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { matchZones, pickZoneFromReply, normalizeText } from "../src/transport_zones.js";
+
+const ZONES = [
+  { id: "ra", name: "Ramos Arizpe", city: "Ramos Arizpe", aliases: ["ramos"] },
+  { id: "sn", name: "Saltillo Norte", city: "Saltillo", aliases: ["derramadero norte"] },
+  { id: "ss", name: "Saltillo Sur", city: "Saltillo", aliases: ["parque industrial santa monica"] },
+  { id: "ar", name: "Arteaga", city: "Arteaga", aliases: [] }
+];
+
+const ids = (list) => list.map((z) => z.id);
+
+test("normalizeText quita acentos y signos", () => {
+  assert.equal(normalizeText("  ¡Ramos  Arízpe!, Coah. "), "ramos arizpe coah");
+});
+
+test("nombre de zona, alias y typos", () => {
+  assert.equal(matchZones(ZONES, "en Ramos Arizpe").zone?.id, "ra");
+  assert.equal(matchZones(ZONES, "ramos").zone?.id, "ra");
+  assert.equal(matchZones(ZONES, "Ramos Ariszpe").zone?.id, "ra");
+  assert.equal(matchZones(ZONES, "Saltillo Sur, cerca del centro").zone?.id, "ss");
+  assert.equal(matchZones(ZONES, "parque industrial santa mónica").zone?.id, "ss");
+});
+
+test("ciudad con varias zonas => AMBIGUOUS", () => {
+  const res = matchZones(ZONES, "Saltiyo");
+  assert.equal(res.status, "AMBIGUOUS");
+  assert.deepEqual(ids(res.candidates), ["sn", "ss"]);
+});
+
+test("palabras cortas no se confunden por typo", () => {
+  assert.equal(matchZones([{ id: "x", name: "Apo", city: "Apo", aliases: [] }], "ape").status, "NONE");
+});
+
+test("sin texto o sin match => NONE", () => {
+  assert.deepEqual(matchZones(ZONES, ""), { status: "NONE", candidates: [] });
+  assert.equal(matchZones(ZONES, "Monterrey").status, "NONE");
+  assert.equal(matchZones(null, "Saltillo").status, "NONE");
+});
+
+test("pickZoneFromReply por número de opción o por lo que distingue a la zona", () => {
+  const candidates = ZONES.slice(1, 3);
+  assert.equal(pickZoneFromReply(candidates, "2")?.id, "ss");
+  assert.equal(pickZoneFromReply(candidates, "la del norte")?.id, "sn");
+  assert.equal(pickZoneFromReply(candidates, "en el parque industrial Santa Mónica")?.id, "ss");
+  assert.equal(pickZoneFromReply(candidates, "3"), null);
+  assert.equal(pickZoneFromReply(candidates, "Saltillo"), null);
+  assert.equal(pickZoneFromReply(candidates, ""), null);
+});
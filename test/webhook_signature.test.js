@@ -0,0 +1,40 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { verifyMetaSignature } from "../src/webhook_signature.js";
+
+const appSecret = "app-secret";
+const rawBody = Buffer.from(JSON.stringify({ object: "whatsapp_business_account", entry: [] }));
+
+function sign(body, secret = appSecret) {
+  return "sha256=" + crypto.createHmac("sha256", secret).update(body).digest("hex");
+}
+
+test("acepta la firma correcta del body crudo", () => {
+  assert.deepEqual(verifyMetaSignature({ rawBody, signatureHeader: sign(rawBody), appSecret }), { ok: true });
+});
+
+test("acepta el hex en mayúsculas", () => {
+  const header = "sha256=" + sign(rawBody).slice(7).toUpperCase();
+  assert.equal(verifyMetaSignature({ rawBody, signatureHeader: header, appSecret }).ok, true);
+});
+
+test("rechaza firma de otro secret o de otro body", () => {
+  assert.equal(
+    verifyMetaSignature({ rawBody, signatureHeader: sign(rawBody, "otro"), appSecret }).reason,
+    "signature_mismatch"
+  );
+  const tampered = Buffer.from(rawBody.toString().replace("[]", "[{}]"));
+  assert.equal(
+    verifyMetaSignature({ rawBody: tampered, signatureHeader: sign(rawBody), appSecret }).reason,
+    "signature_mismatch"
+  );
+});
+
+test("motivos de rechazo sin llegar a comparar", () => {
+  assert.equal(verifyMetaSignature({ rawBody, signatureHeader: sign(rawBody), appSecret: "" }).reason, "missing_app_secret");
+  assert.equal(verifyMetaSignature({ rawBody: Buffer.alloc(0), signatureHeader: "x", appSecret }).reason, "missing_raw_body");
+  assert.equal(verifyMetaSignature({ rawBody, signatureHeader: "", appSecret }).reason, "missing_signature");
+  assert.equal(verifyMetaSignature({ rawBody, signatureHeader: "sha1=abc", appSecret }).reason, "malformed_signature");
+  assert.equal(verifyMetaSignature({ rawBody, signatureHeader: "sha256=abc", appSecret }).reason, "malformed_signature");
+});